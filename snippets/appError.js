@@ -44,6 +44,7 @@ const APPEXCEPTIONS = {
   BACKGROUNDJOBERROR: "BACKGROUND_JOB_ERROR",
   EXECUTORERROR: "EVENT_EXECUTOR_ERROR",
   CACHEERROR: "INTERNAL_CACHE_ERROR",
+  POOLERROR: "INTERNAL_POOL_ERROR",
 };
 
 /**
@@ -1,10 +1,179 @@
 const crypt = require("node:crypto");
-const { EventEmitter } = require("node:stream");
+const assert = require("node:assert");
+const fs = require("node:fs/promises");
+const { EventEmitter, Readable, Transform } = require("node:stream");
 
 const { Duration } = require("./duration");
 const { ProcessQueue } = require('./queue');
-const { setUnboundedTimeout } = require("./common");
+const { setUnboundedTimeout, serializeData, deserializeData } = require("./common");
 const { ApplicationException } = require("./appError"); 
+const { CacheStore, MemoryCacheStore } = require("./cacheStore");
+const { KeyProvider } = require("./keyProvider");
+
+/**
+ * @typedef {import("./cacheStore").CacheEntry} CacheEntry
+ */
+
+/**
+ * Policies to select the entries to be evicted when the cache is full.
+ * @readonly
+ * @enum {String}
+ */
+const EVICTION_POLICY = {
+  /** Least recently used entries are evicted first. */
+  LRU: "lru",
+  /** Least frequently used entries are evicted first, ties are broken by the least recently used. */
+  LFU: "lfu",
+};
+
+/**
+ * @typedef {Object} CacheOptions - Additional options for the cache.
+ * @property {CacheStore} [store] - The storage backend for the cache, defaults to a {@link MemoryCacheStore}.
+ * @property {String} [hashSecret] - Secret used to hash the keys, defaults to the `CACHE_HASH_KEY_INITALIZER` environment variable. see {@link Cache}.
+ * @property {number} [maxEntries] - Maximum number of entries in the cache, unbounded if not set.
+ * @property {number} [maxSize] - Maximum approximate size of all the values in the cache in bytes, unbounded if not set.
+ * @property {keyof EVICTION_POLICY|EVICTION_POLICY} [evictionPolicy="lru"] - Policy to select the entries to evict once a limit is reached.
+ * @property {number} [retainedKeys=2] - The number of previous obfuscation keys kept to decode the entries encoded before a key rotation.
+ * @property {KeyProvider} [keyProvider] - The source of the obfuscation keys, needed to share obfuscated entries between app instances
+ * or to restore them after a restart. Random keys of the current process are used if not set, see {@link Obfuscator}.
+ */
+
+/**
+ * Details of a failed step of an {@link Obfuscator} event, passed to the listeners of its `hook_error` event.
+ * @typedef {Object} HookErrorDetails
+ * @property {String} event - The event that failed.
+ * @property {"before"|"callback"|"listener"|"after"} stage - The step of the event that failed.
+ * @property {Error} error - The error.
+ */
+
+/**
+ * Details of a cache change, passed to the listeners of the {@link Cache#events}.
+ * @typedef {Object} CacheEventDetails
+ * @property {String|undefined} key - The original key, `undefined` for entries written before the original keys were stored.
+ * @property {String} hashKey - The hashed key of the entry.
+ * @property {String} reason - Why the change happened:
+ * - `set`: `write` or `collision` when an entry of a different key was overwritten.
+ * - `deleted`: `delete`, `tag` or `prefix` for invalidations.
+ * - `expired`: `ttl`.
+ * - `evicted`: `max_entries` or `max_size`, the limit that was exceeded.
+ */
+
+/**
+ * Details of an evicted entry, passed to the listeners of the `evicted` event.
+ * @typedef {CacheEventDetails & {size: number, policy: EVICTION_POLICY}} EvictionDetails
+ * @property {number} size - Approximate size of the evicted value in bytes.
+ * @property {EVICTION_POLICY} policy - The policy that selected the entry.
+ */
+
+/**
+ * Details of a change to all the entries, passed to the listeners of the `cleared` and `rotated` events.
+ * @typedef {Object} CacheBulkEventDetails
+ * @property {String} reason - `destroy` for `cleared`, `key_rotated` for `rotated`.
+ * @property {number} entries - Number of entries affected.
+ */
+
+/**
+ * Usage statistics of a cache.
+ * @typedef {Object} CacheStats
+ * @property {number} hits - Reads that found a value.
+ * @property {number} misses - Reads that did not find a value or found an expired one.
+ * @property {number} writes - Values stored in the cache.
+ * @property {number} expirations - Entries removed since their duration elapsed.
+ * @property {number} collisions - Writes that found an entry of a different key under the same hash, the entry is overwritten.
+ * @property {number} evictions - Entries evicted to stay within the limits.
+ * @property {number} staleHits - Reads that were served a stale value, these are counted as hits as well.
+ * @property {number} refreshes - Background refreshes of stale values that completed successfully.
+ * @property {number} refreshFailures - Background refreshes of stale values that failed.
+ * @property {number} invalidations - Entries removed by tag or prefix invalidation.
+ * @property {number} hitRatio - `hits / (hits + misses)`, `0` if there were no reads.
+ * @property {number} entries - Number of entries currently in the cache.
+ * @property {number} obfuscatedEntries - Number of entries with obfuscated values.
+ * @property {number} plainEntries - Number of entries with plain values.
+ * @property {number} size - Approximate size of all the values in bytes.
+ * @property {number|undefined} maxEntries - Configured entry limit.
+ * @property {number|undefined} maxSize - Configured size limit in bytes.
+ * @property {EVICTION_POLICY} evictionPolicy - Configured eviction policy.
+ * @property {Date} since - When the counters were started or last reset.
+ */
+
+/**
+ * Metadata of a cache entry, returned by {@link Cache#keys}. The value itself is never part of it.
+ * @typedef {Object} CacheKeyInfo
+ * @property {String|undefined} key - The original key, `undefined` for entries written before the original keys were stored.
+ * @property {String} hashKey - The hashed key.
+ * @property {String} type - Type of the stored value.
+ * @property {boolean} isObfuscated - If the value, or some of its fields, are obfuscated.
+ * @property {Array.<String>} obfuscatedFields - The JSON paths of the obfuscated fields, empty unless the value was written with field-level obfuscation.
+ * @property {Date|undefined} expiresOn - When the entry expires, `undefined` if it never expires.
+ * @property {Date|undefined} staleOn - When the entry becomes stale and is refreshed on next read, `undefined` if it never becomes stale.
+ * @property {number} size - Approximate size of the value in bytes.
+ * @property {number} hits - Number of reads of the entry since it was written.
+ * @property {Array.<String>} tags - Tags attached to the entry.
+ */
+
+/**
+ * A function that loads a value which is not in the cache.
+ * @callback cacheLoader
+ * @param {String} key - The key for which the value has to be loaded.
+ * @returns {any|Promise.<any>} The value to be cached.
+ */
+
+/**
+ * Options for {@link Cache#getOrCompute}.
+ * @typedef {Object} ComputeOptions
+ * @property {Duration|"never"} [expiration="never"] - The duration for which the computed value is valid.
+ * @property {boolean|Array.<String>} [obfuscate=false] - Obfuscate the computed value before storing it in the cache, or only the fields at the JSON paths, see {@link Cache#write}.
+ * @property {function(any):boolean} [shouldCache] - Decides if the computed value should be stored, everything is stored if not set. eg: to skip caching error responses.
+ * @property {Duration} [staleAfter] - Soft TTL, once elapsed the value is still served but refreshed in the background using the loader. see {@link Cache#registerLoader}.
+ * @property {Array.<String>} [tags] - Tags attached to the computed value, see {@link WriteOptions}.
+ */
+
+/**
+ * Additional options for {@link Cache#write}.
+ * @typedef {Object} WriteOptions
+ * @property {Duration} [staleAfter] - Soft TTL, once elapsed reads still return the value but trigger a refresh through the loader registered for the key.
+ * The `expiration` acts as the hard TTL after which the entry is removed.
+ * @property {Array.<String>} [tags] - Tags attached to the entry, all entries with a tag can be removed at once using {@link Cache#invalidateTag}.
+ */
+
+/**
+ * A value to be stored using {@link Cache#writeMany}, the properties are the same as the arguments of {@link Cache#write}.
+ * @typedef {Object} BatchWriteItem
+ * @property {String} key - The key to associate with the value.
+ * @property {any} value - The value to store.
+ * @property {Duration|"never"|null} [expiration="never"] - The duration for which the value is valid.
+ * @property {boolean|Array.<String>} [obfuscate=false] - Obfuscate the value before storing it in the cache, or only the fields at the JSON paths.
+ * @property {WriteOptions} [options={}] - Additional options for the entry.
+ */
+
+/**
+ * Result of a key looked up using {@link Cache#readMany}.
+ * @typedef {Object} BatchReadResult
+ * @property {String} key - The key as passed to read it.
+ * @property {boolean} found - If the key is in the cache, `false` for missing and expired entries.
+ * @property {any} value - The value associated with the key, `null` if the key is not in the cache.
+ */
+
+/**
+ * Defaults for the entries of a {@link CacheNamespace}.
+ * @typedef {Object} NamespaceOptions
+ * @property {Duration|"never"} [expiration="never"] - The duration for which the entries are valid, when no expiration is passed to write them.
+ */
+
+/**
+ * Options for {@link Cache#snapshot} and {@link Cache#restore}.
+ * @typedef {Object} SnapshotOptions
+ * @property {String} [secret] - Secret to encrypt the obfuscated values and sign the snapshot, obfuscated entries are left out of the snapshot if not set.
+ * The same secret must be passed to restore the snapshot.
+ * @property {String} [file] - Location of the file to write the snapshot to, or to read it from.
+ */
+
+/**
+ * Result of {@link Cache#restore}.
+ * @typedef {Object} RestoreResult
+ * @property {number} restored - Number of entries restored.
+ * @property {number} skipped - Number of entries skipped, since they expired or could not be decrypted.
+ */
 
 /**
  * Error class for the cache.
@@ -33,29 +202,136 @@ class CacheException extends ApplicationException {
       UNABLE_TO_OBFUSCATE: "UNABLE_TO_OBFUSCATE",
       READ_FAILED: "UNABLE_TO_READ_VALUE",
       NON_CACHABLE_VALUE: "NON_CACHABLE_VALUE",
+      INVALID_SNAPSHOT: "INVALID_SNAPSHOT",
+      INVALID_ENVELOPE: "INVALID_ENVELOPE",
+      UNKNOWN_KEY: "UNKNOWN_KEY",
     };
   }
 }
 
+/**
+ * Splits a JSON path of a field into its segments.
+ *
+ * Paths use the dot notation with an optional leading `$.`, array elements are selected with `[index]`,
+ * and `*` or `[*]` selects every element of an array or every property of an object. eg: `user.email`, `$.results[*].token`.
+ * @param {String} path - The path of the field.
+ * @returns {Array.<String>} The segments of the path.
+ */
+function parseFieldPath(path) {
+  assert(typeof path === "string", new Error("field paths must be strings"));
+  const segments = path
+    .replace(/^\$\.?/, "")
+    .replace(/\[(\d+|\*)\]/g, ".$1")
+    .split(".")
+    .filter((segment) => segment.length > 0);
+  assert(segments.length > 0, new Error(`Invalid field path '${path}'.`));
+  return segments;
+}
+
+/**
+ * Replaces the fields of a value that match the segments of a path, fields that do not exist are skipped.
+ *
+ * Only the objects and arrays on the way to a replaced field are copied, the passed value is not modified.
+ * @param {any} value - The object or array holding the fields.
+ * @param {Array.<String>} segments - The segments of the path, see {@link parseFieldPath}.
+ * @param {function(any):any} replacer - Returns the new value of a field.
+ * @returns {any} The value with the fields replaced, the same value if nothing has changed.
+ */
+function mapField(value, segments, replacer) {
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  const [segment, ...rest] = segments;
+  const names = segment === "*" ? Object.keys(value) : [segment];
+  let copy = value;
+  for (const name of names) {
+    if (!Object.prototype.hasOwnProperty.call(value, name) || value[name] === undefined) {
+      continue;
+    }
+    const field = rest.length === 0 ? replacer(value[name]) : mapField(value[name], rest, replacer);
+    if (field !== value[name]) {
+      if (copy === value) {
+        copy = Array.isArray(value) ? [...value] : { ...value };
+      }
+      copy[name] = field;
+    }
+  }
+  return copy;
+}
+
 /**
  * A helper class to obfuscate and de-obfuscate values using a proprietary encryption technique.
  *
  * This class uses an undisclosed encryption technique to obfuscate values. The encryption keys are automatically rotated every 90 days to enhance security.
  * If needed, the {@link Obfuscator.rotateKey}  method can be called to manually rotate the encryption key.
  *
+ * Values are encrypted with AES-256-GCM into a versioned envelope `v2:keyId:iv:cipher:authTag:type`, the version, key id and type
+ * are authenticated along with the value, so a tampered value or a value of an unknown key is rejected by {@link Obfuscator#decode}.
+ * Values encoded by earlier versions (`iv:cipher:type`, AES-256-CBC) are still decoded with the keys of the keyring.
+ *
+ * Large payloads (eg: downloaded attachments) can be encrypted without loading them into memory using {@link Obfuscator#createEncodeStream}
+ * and {@link Obfuscator#createDecodeStream}.
+ *
+ * ## Keyring:
+ *
+ * A rotation only replaces the key used to encode, the previous keys are kept in a keyring (2 by default, see `retainedKeys`)
+ * to decode the values encoded before, so a rotation never has to re-encode or block anything. Values of older keys should be
+ * re-encoded with {@link Obfuscator#reencode} before their key is dropped from the keyring, see {@link Obfuscator#hasCurrentKey}.
+ *
+ * ## Key Providers:
+ *
+ * By default the keys are random and only known to the current process. With a {@link KeyProvider} the keys are loaded from
+ * the provider instead (eg: an environment variable, a mounted file or a KMS), so all the app instances and restarts share them.
+ * The keyring then holds the keys of the provider, and the rotation is driven by the provider: the keys are switched whenever the
+ * provider emits the `changed` event, either after {@link Obfuscator#rotateKey} or after the keys were rotated at their source.
+ * Since a provider is usually shared by several caches, the rotation timer only reloads the keys using {@link KeyProvider#refresh}
+ * instead of rotating them once per cache. Use {@link Obfuscator#dispose} to detach the obfuscator from the provider. The keys are loaded asynchronously, {@link Obfuscator#ready} resolves once they are available.
+ *
  * Events:
  * - `key_rotated`: Emitted when the encryption key is rotated.
  * - `obfuscated` : When obfuscation is complete.
+ * - `rotation_duration_changed`: When the rotation duration is changed.
+ * - `hook_error`: When a handler or an operation of an event fails, see {@link Obfuscator#emitter}.
  */
 class Obfuscator extends EventEmitter {
   /**The encryption type
    * @type {string}
    */
-  #cryptType = "aes-256-cbc";
+  #cryptType = "aes-256-gcm";
   /**
+   * The encryption type of the envelopes without a version, only used to decode them.
    * @type {string}
    */
+  #legacyCryptType = "aes-256-cbc";
+  /**
+   * The version of the envelope created by {@link Obfuscator#encode}.
+   * @type {string}
+   */
+  #envelopeVersion = "v2";
+  /**
+   * The version of the header of the streams created by {@link Obfuscator#createEncodeStream}.
+   * @type {string}
+   */
+  #streamVersion = "v2s";
+  /**
+   * @type {Buffer}
+   */
   #fideliusCharm;
+  /**
+   * Identifies the current key in the envelope.
+   * @type {string}
+   */
+  #keyId;
+  /**
+   * The current and the retained previous keys by their id, from oldest to newest.
+   * @type {Map<string, Buffer>}
+   */
+  #keyring = new Map();
+  /**
+   * The number of previous keys kept to decode.
+   * @type {number}
+   */
+  #retainedKeys;
 
   /**
    * A default duration for key rotation.
@@ -64,11 +340,47 @@ class Obfuscator extends EventEmitter {
   #defaultKeyRotationDuration
 
   /**
-   * A timer object for the key rotation process.
+   * Clears the timer of the key rotation process, `undefined` when no rotation is scheduled.
+   * @type {Function|undefined}
    */
   #existingRotatorTimerObject;
-  constructor() {
+
+  /**
+   * The source of the keys, `undefined` if the keys are created by the obfuscator.
+   * @type {KeyProvider|undefined}
+   */
+  #keyProvider;
+
+  /**
+   * Applies the keys of the key provider, the listener of its `changed` event.
+   * @type {function(import("./keyProvider").KeySet):void|undefined}
+   */
+  #keysChangedListener;
+
+  /**
+   * Resolves once the keys are available.
+   * @type {Promise.<void>}
+   */
+  #ready = Promise.resolve();
+
+  /**
+   * @param {Object} [options={}] - Options for the obfuscator.
+   * @param {number} [options.retainedKeys=2] - The number of previous keys kept to decode the values encoded before a rotation, not used with a key provider.
+   * @param {KeyProvider} [options.keyProvider] - The source of the keys, random keys are used if not set.
+   */
+  constructor(options = {}) {
     super();
+    assert(options?.retainedKeys === undefined || (Number.isInteger(options.retainedKeys) && options.retainedKeys >= 0), new Error("retainedKeys must be a non negative integer"));
+    assert(!options?.keyProvider || options.keyProvider instanceof KeyProvider, new Error("keyProvider must be a KeyProvider instance or undefined"));
+    this.#retainedKeys = options?.retainedKeys ?? 2;
+    this.#keyProvider = options?.keyProvider;
+    if (this.#keyProvider) {
+      this.#keysChangedListener = (keySet) => {
+        this.#ready = this.#applyKeys(keySet);
+      };
+      this.#keyProvider.on(this.#keyProvider.events.changed, this.#keysChangedListener);
+      this.#ready = this.#loadKeys();
+    }
     /**
      * A default duration for key rotation.
      * @type {Duration}
@@ -96,10 +408,10 @@ class Obfuscator extends EventEmitter {
   set defaultKeyRotationDuration(duration) {
     this.#defaultKeyRotationDuration = duration;
     this.emitter(this.events.rotation_duration_changed, () => {
-      if (this.#existingRotatorTimerObject) {
-        clearTimeout(this.#existingRotatorTimerObject);
-      }
+      this.stopRotation();
       this.#rotator();
+    }).catch((err) => {
+      console.error(`[OBFUSCATOR][ERROR] Unable to emit the event "${this.events.rotation_duration_changed}".`, err);
     });
   }
 
@@ -120,6 +432,10 @@ class Obfuscator extends EventEmitter {
        * when a rotation time is changed.
        */
       rotation_duration_changed: "rotation_duration_changed",
+      /**
+       * A before handler, listener, after handler or the operation of an event failed, emitted with the {@link HookErrorDetails}.
+       */
+      hook_error: "hook_error",
     }
   }
 
@@ -129,81 +445,258 @@ class Obfuscator extends EventEmitter {
   */
   #rotator() {
     const duration = this.defaultKeyRotationDuration;
-    if (!this.#fideliusCharm) {
-      this.#fideliusCharm = crypt.randomBytes(32);
+    if (!this.#fideliusCharm && !this.#keyProvider) {
+      this.#setKey(crypt.randomBytes(32));
     }
     this.#existingRotatorTimerObject = setUnboundedTimeout(() => {
-      this.rotateKey();
+      this.#existingRotatorTimerObject = undefined;
+      if (this.#keyProvider) {
+        this.#keyProvider.refresh().catch((err) => {
+          console.error("[OBFUSCATOR][ERROR] Unable to refresh the keys of the key provider.", err);
+        });
+      } else {
+        this.rotateKey().catch((err) => {
+          console.error("[OBFUSCATOR][ERROR] Unable to rotate the key.", err);
+        });
+      }
+      this.#rotator();
     }, duration.toMilliseconds);
   }
 
+  /**
+   * Loads the first keys from the key provider.
+   *
+   * If the provider fails, a random key is used so that the obfuscator keeps working, values encoded with it cannot be read by other app instances.
+   * @private
+   * @returns {Promise.<void>}
+   */
+  async #loadKeys() {
+    try {
+      await this.#applyKeys(await this.#keyProvider.refresh());
+    } catch (err) {
+      console.error("[OBFUSCATOR][ERROR] Unable to load the keys from the key provider, a random key is used instead.", err);
+      if (!this.#fideliusCharm) {
+        this.#setKey(crypt.randomBytes(32));
+      }
+    }
+  }
+
+  /**
+   * Replaces the keyring with the keys of the key provider, the `key_rotated` event is emitted if the current key changed.
+   *
+   * The provider has moved to the new key already, so the keys are applied even if a before handler vetoes the event.
+   * @private
+   * @param {import("./keyProvider").KeySet} keySet - The keys of the provider.
+   * @returns {Promise.<void>}
+   */
+  async #applyKeys(keySet) {
+    const useKeys = () => {
+      this.#keyring = new Map(keySet.keys.map((key) => [key.id, key.key]));
+      this.#keyId = keySet.current;
+      this.#fideliusCharm = this.#keyring.get(keySet.current);
+    };
+    if (this.#keyId === undefined || this.#keyId === keySet.current) {
+      useKeys();
+      return;
+    }
+    if (!(await this.emitter(this.events.key_rotated, useKeys))) {
+      console.warn(`[OBFUSCATOR][WARN] The rotation to the key ${keySet.current} of the key provider cannot be vetoed, the keys are applied.`);
+      useKeys();
+    }
+  }
+
+  /**
+   * Resolves once the keys are available, the keys of a {@link KeyProvider} are loaded asynchronously.
+   * @returns {Promise.<void>}
+   */
+  get ready() {
+    return this.#ready;
+  }
+
+  /**
+   * Cancels the scheduled key rotation, the current key stays valid.
+   *
+   * The rotation is scheduled again when the {@link Obfuscator.defaultKeyRotationDuration} is set.
+   */
+  stopRotation() {
+    if (this.#existingRotatorTimerObject) {
+      this.#existingRotatorTimerObject();
+      this.#existingRotatorTimerObject = undefined;
+    }
+  }
+
+  /**
+   * Cancels the scheduled key rotation and stops listening to the key provider, so that a shared provider does not keep the obfuscator alive.
+   *
+   * The current keys stay valid, but keys changed by the provider afterwards are not applied.
+   */
+  dispose() {
+    this.stopRotation();
+    if (this.#keysChangedListener) {
+      this.#keyProvider.off(this.#keyProvider.events.changed, this.#keysChangedListener);
+      this.#keysChangedListener = undefined;
+    }
+  }
+
   /**
    * Rotates the current encryption key.
    *
    * This method generates a new random encryption key and triggers the {@link Obfuscator.events.key_rotated} event.
    * 
    * Any event handlers registered for the 'key_rotated' event will be called during this process.
+   *
+   * With a {@link KeyProvider}, the provider is asked to rotate the key, or to reload the keys if it cannot create keys,
+   * and the event is triggered if the current key of the provider has changed. The new keys of the provider are always applied,
+   * the rotation cannot be vetoed.
+   * @returns {Promise.<boolean>} `false` if the rotation was vetoed by a before handler or failed.
    */
-  rotateKey() {
-    this.emitter(this.events.key_rotated, () => {
-      this.#fideliusCharm = crypt.randomBytes(32);
-    });
+  async rotateKey() {
+    if (!this.#keyProvider) {
+      return await this.emitter(this.events.key_rotated, () => {
+        this.#setKey(crypt.randomBytes(32));
+      });
+    }
+    try {
+      // the new keys are applied through the `changed` event of the provider.
+      await (this.#keyProvider.canRotate ? this.#keyProvider.rotate() : this.#keyProvider.refresh());
+      await this.#ready;
+      return true;
+    } catch (err) {
+      console.error("[OBFUSCATOR][ERROR] Unable to rotate the key using the key provider.", err);
+      return false;
+    }
+  }
+
+  /**
+   * The id of the key with which values are currently encoded.
+   * @returns {string}
+   */
+  get keyId() {
+    return this.#keyId;
+  }
+
+  /**
+   * The ids of the keys in the keyring, from oldest to newest.
+   * @returns {Array.<string>}
+   */
+  get keyIds() {
+    return [...this.#keyring.keys()];
+  }
+
+  /**
+   * Replaces the current key along with its id, the previous key is kept in the keyring.
+   * @private
+   * @param {Buffer} key - The new 32 bytes key.
+   */
+  #setKey(key) {
+    this.#fideliusCharm = key;
+    this.#keyId = crypt.randomBytes(4).toString("hex");
+    this.#keyring.set(this.#keyId, key);
+    // drop the oldest keys, values encoded with them can no longer be decoded.
+    for (const keyId of this.#keyring.keys()) {
+      if (this.#keyring.size <= this.#retainedKeys + 1) {
+        break;
+      }
+      this.#keyring.delete(keyId);
+    }
   }
 
   /**
    * Emits an event. If there are any handler functions registered for this event with the before method,
    * those functions will be executed before the event is emitted.
+   *
+   * The event runs through a pipeline, every step is awaited before the next one starts:
+   * 1. The `before` handlers in the order they were registered. A handler vetoes the operation by returning `false` (or a promise of `false`),
+   *    or by throwing, the remaining steps are then skipped.
+   * 2. The callback, the operation itself. If it throws the remaining steps are skipped.
+   * 3. The event is emitted to the listeners added with `on`, their errors do not affect the operation.
+   * 4. The `after` handlers in the order they were registered, their errors do not affect the operation.
+   *
+   * Errors of the handlers, the listeners and the callback are emitted as the `hook_error` event with the {@link HookErrorDetails}, and logged if there is no listener for it.
    * @param {string} event - The name of the event.
-   * @param {Function} callback -  A callback function to be executed.
+   * @param {Function} [callback] -  A callback function to be executed.
    * @param {...any} args - The arguments to pass to the event handlers.
+   * @returns {Promise.<boolean>} `false` if the operation was vetoed or failed.
    */
   async emitter(event, callback, ...args) {
     // If there are any before handlers for this event, execute them
-    if (this.beforeHandlers[event]) {
-      this.beforeHandlers[event].forEach(handler => {
-        // Ensure the handler is a function before executing it
-        if (typeof handler === 'function') {
-          try {
-            // Execute the handler with the provided arguments
-            handler(...args);
-          } catch (error) {
-            console.error(`[OBFUSCATOR][ERROR]Error in before handler for event "${event}":`, error);
-          }
+    // handlers are awaited in order, so that an async handler can veto the operation before the callback runs.
+    for (const handler of this.beforeHandlers[event] ?? []) {
+      // Ensure the handler is a function before executing it
+      if (typeof handler !== 'function') {
+        continue;
+      }
+      try {
+        // Execute the handler with the provided arguments
+        if ((await handler(...args)) === false) {
+          console.info(`[INFO] Event "${event}" has been vetoed by a before handler.`);
+          return false;
         }
-      });
+      } catch (error) {
+        this.#reportHookError(event, "before", error);
+        return false;
+      }
     }
 
-    // If a callback function is provided, execute it in parallel with the event emission
     if (typeof callback === 'function') {
-
       try {
         await callback();
       } catch (error) {
-        console.error(`[OBFUSCATOR][ERROR]Error in callback for event "${event}":`, error);
+        this.#reportHookError(event, "callback", error);
+        return false;
       }
+    }
 
-      // Emit the event
+    // Emit the event, the operation has completed so a failing listener is only reported.
+    try {
       super.emit(event, ...args);
-
+    } catch (error) {
+      this.#reportHookError(event, "listener", error);
     }
 
     // If there are any after handlers for this event, execute them
-    if (this.afterHandlers[event]) {
-      this.afterHandlers[event].forEach(handler => {
-        // Ensure the handler is a function before executing it
-        if (typeof handler === 'function') {
-          try {
-            // Execute the handler with the provided arguments
-            handler(...args);
-          } catch (error) {
-            console.error(`[OBFUSCATOR][ERROR]Error in after handler for event "${event}":`, error);
-          }
-        }
-      });
+    for (const handler of this.afterHandlers[event] ?? []) {
+      // Ensure the handler is a function before executing it
+      if (typeof handler !== 'function') {
+        continue;
+      }
+      try {
+        // Execute the handler with the provided arguments
+        await handler(...args);
+      } catch (error) {
+        this.#reportHookError(event, "after", error);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Emits the `hook_error` event, or logs the error if there is no listener for it.
+   * @private
+   * @param {string} event - The name of the event that failed.
+   * @param {"before"|"callback"|"listener"|"after"} stage - The step of the pipeline that failed.
+   * @param {Error} error - The error.
+   */
+  #reportHookError(event, stage, error) {
+    if (this.listenerCount(this.events.hook_error) === 0) {
+      console.error(`[OBFUSCATOR][ERROR]Error in ${stage} handler for event "${event}":`, error);
+      return;
+    }
+    try {
+      super.emit(this.events.hook_error, { event: event, stage: stage, error: error });
+    } catch (err) {
+      console.error(`[OBFUSCATOR][ERROR]Error in listener for event "${this.events.hook_error}":`, err);
     }
   }
+
   /**
    * Registers a handler function to be executed before a specific obfuscation event is emitted.
+   *
+   * The handler may be async, it vetoes the operation by returning `false` or by throwing.
+   *
+   * @example
+   * obfuscator.before(obfuscator.events.key_rotated, async () => await backend.isReadyForRotation());
+   *
    * @param {string} event - The name of the event.
    * @param {Function} handler - The handler function to execute.
    * @see {@link Obfuscator#emitter} must be called to run the listener added via this function.
@@ -217,6 +710,8 @@ class Obfuscator extends EventEmitter {
 
   /**
    * Registers a handler function to be executed after a specific obfuscation event is emitted.
+   *
+   * The handler may be async, it is awaited before the next after handler runs.
    * @param {string} event - The name of the event.
    * @param {Function} handler - The handler function to execute.
    * @see {@link Obfuscator#emitter} must be called to run the listener added via this function.
@@ -227,13 +722,42 @@ class Obfuscator extends EventEmitter {
     }
     this.afterHandlers[event].push(handler);
   }
+  /**
+   * Returns the type of a value as used by {@link Obfuscator#converttostring}.
+   *
+   * Besides the `typeof` types, arrays, Buffers, Dates, Maps and Sets have a type of their own, so that they can be converted back.
+   * @param {any} value - The value.
+   * @returns {"string" | "number" | "boolean" | "bigint" | "object" | "array" | "buffer" | "date" | "map" | "set" | "undefined" | "function" | "symbol"}
+   */
+  typeOf(value) {
+    if (Array.isArray(value)) {
+      return "array";
+    }
+    if (Buffer.isBuffer(value)) {
+      return "buffer";
+    }
+    if (value instanceof Date) {
+      return "date";
+    }
+    if (value instanceof Map) {
+      return "map";
+    }
+    if (value instanceof Set) {
+      return "set";
+    }
+    return typeof value;
+  }
+
   /**
    * Converts a value to a string and returns its type
-   * @param {string|number|boolean|object|array}  value The value to convert
-   * @returns {{value:string,type:"string" | "number" | "boolean" | "bigint" | "object" | "array"}} An object with the string value and its type
+   *
+   * Buffers are converted to base64 and Dates to ISO strings. Objects, arrays, the entries of Maps and the values of Sets are converted
+   * using `serializeData`, so that the bigints, dates, buffers, maps and sets they contain are restored by {@link Obfuscator#toType}.
+   * @param {string|number|boolean|bigint|object|array|Buffer|Date|Map|Set}  value The value to convert
+   * @returns {{value:string,type:"string" | "number" | "boolean" | "bigint" | "object" | "array" | "buffer" | "date" | "map" | "set"}} An object with the string value and its type
    */
   converttostring(value) {
-    const type = Array.isArray(value) ? "array" : typeof value;
+    const type = this.typeOf(value);
     /**@type {string} */
     let stringValue;
     switch (type) {
@@ -244,7 +768,18 @@ class Obfuscator extends EventEmitter {
         break;
       case "object":
       case "array":
-        stringValue = JSON.stringify(value);
+        stringValue = serializeData(value);
+        break;
+      case "buffer":
+        stringValue = value.toString("base64");
+        break;
+      case "date":
+        // invalid dates have no ISO string.
+        stringValue = value.toJSON() ?? "Invalid Date";
+        break;
+      case "map":
+      case "set":
+        stringValue = serializeData([...value]);
         break;
       default:
         stringValue = value;
@@ -256,23 +791,36 @@ class Obfuscator extends EventEmitter {
    * Converts a string back to its original type
    * @param {string} string - The string to convert
    * @param {string} type - The type to convert to
-   * @returns {string|number|boolean|bigint|object|array}  The converted value
+   * @returns {string|number|boolean|bigint|object|array|Buffer|Date|Map|Set}  The converted value
    */
   toType(string, type) {
-    /**@type {string|number|boolean|bigint|object|array} */
+    /**@type {string|number|boolean|bigint|object|array|Buffer|Date|Map|Set} */
     let _ = string;
     switch (type) {
       case "number":
         _ = Number(string);
         break;
       case "bigint":
-        _ = BigInt(string)
+        _ = BigInt(string);
+        break;
       case "boolean":
         _ = string.toLowerCase() === "true";
         break;
       case "object":
       case "array":
-        _ = JSON.parse(string);
+        _ = deserializeData(string);
+        break;
+      case "buffer":
+        _ = Buffer.from(string, "base64");
+        break;
+      case "date":
+        _ = new Date(string);
+        break;
+      case "map":
+        _ = new Map(deserializeData(string));
+        break;
+      case "set":
+        _ = new Set(deserializeData(string));
         break;
       default:
       // If type is anything else, leave decrypted as a string
@@ -286,14 +834,11 @@ class Obfuscator extends EventEmitter {
   * @returns {string} The encoded value
   */
   encode(value) {
-    let encoded;
-    this.emitter(this.events.obfuscated, () => {
-      const stringValue = this.converttostring(value);
-      const iv = crypt.randomBytes(16);
-      const cipher = crypt.createCipheriv(this.#cryptType, this.#fideliusCharm, iv);
-      const encrypted = cipher.update(stringValue.value, "utf8", "hex") + cipher.final("hex");
-
-      encoded = iv.toString('hex') + ':' + encrypted + ':' + stringValue.type;
+    const stringValue = this.converttostring(value);
+    const encoded = this.#encrypt(stringValue.value, stringValue.type);
+    // encoding is synchronous, so the `obfuscated` event is only a notification and cannot be vetoed.
+    this.emitter(this.events.obfuscated).catch((err) => {
+      console.error(`[OBFUSCATOR][ERROR] Unable to emit the event "${this.events.obfuscated}".`, err);
     });
     return encoded;
   }
@@ -301,339 +846,2211 @@ class Obfuscator extends EventEmitter {
   /**
    * Decodes a string
    * @param {string} - string The string to decode
-   * @throws {Error} - If the string is not in the correct format
+   * @throws {CacheException} - If the string is not a valid envelope, has been tampered with or was encoded with a key that is not in the keyring.
    * @returns {number|string|boolean|object|array} The decoded value
    */
   decode(string) {
-    // Split the stored string into IV, encrypted data, and type
-    const parts = string.split(':');
-    if (parts.length !== 3) {
-      throw new Error('Invalid string to decode.');
-    }
-    // Extract the IV
-    const iv = Buffer.from(parts.shift(), 'hex');
-    // Extract the encrypted data
-    const encryptedText = Buffer.from(parts.shift(), 'hex');
-    // Extract the type
-    const type = parts.shift();
+    const decrypted = this.#decrypt(string);
+    return this.toType(decrypted.value, decrypted.type);
+  }
 
-    const decipher = crypt.createDecipheriv(this.#cryptType, this.#fideliusCharm, iv);
-    const decrypted = decipher.update(encryptedText, 'hex', 'utf8') + decipher.final('utf8');
-    return this.toType(decrypted, type);
+  /**
+   * Returns a function that decodes strings with the keys of the keyring as they are now,
+   * it keeps using them once they have been rotated out of the keyring.
+   * @returns {function(string):(number|string|boolean|object|array)}
+   */
+  decoder() {
+    const keyring = new Map(this.#keyring);
+    return (string) => {
+      const decrypted = this.#decrypt(string, keyring);
+      return this.toType(decrypted.value, decrypted.type);
+    };
   }
 
-}
+  /**
+   * Checks if a value is encoded with the current key, values of previous keys should be re-encoded using {@link Obfuscator#reencode}.
+   * @param {string} string - The encoded value.
+   * @returns {boolean}
+   */
+  hasCurrentKey(string) {
+    const parts = typeof string === "string" ? string.split(':') : [];
+    return parts.length === 6 && parts[0] === this.#envelopeVersion && parts[1] === this.#keyId;
+  }
 
-/**
- * A simple cache map to cache some data which is expensive to fetch.
- *
- * @example
- * // Create a new cache
- * const cache = new Cache();
- *
- * // Add a value to the cache
- * cache.set('key', 'value', 60000); // The value will be removed from the cache after 60 seconds
- *
- * // Get a value from the cache
- * const value = cache.get('key'); // Returns 'value'
- *
- * // Check if a key is in the cache
- * const hasKey = cache.has('key'); // Returns true
- */
-class Cache {
   /**
-   * A Map to store the cache data. The keys are hashed keys and the values are objects containing the actual value and a timestamp.
-   * @type {Map<number, {value: string, expiresOn: number|undefined,isObfusacated:boolean, type:String}>}
+   * Checks if the key with which a value was encoded is still in the keyring, values of dropped keys can no longer be decoded.
+   * @param {string} string - The encoded value.
+   * @returns {boolean} `true` for the values without a key id, which are tried with all the keys.
    */
-  #data;
+  hasKey(string) {
+    const parts = typeof string === "string" ? string.split(':') : [];
+    return parts.length !== 6 || parts[0] !== this.#envelopeVersion || this.#keyring.has(parts[1]);
+  }
 
   /**
-   * A flag to check if there is any reading going on
-   * @type {boolean}
+   * Encodes a value again with the current key, without converting it to its type in between.
+   * @param {string} string - The encoded value.
+   * @throws {CacheException} - If the value cannot be decoded.
+   * @returns {string} The value encoded with the current key.
    */
-  #isPaused = false;
+  reencode(string) {
+    const decrypted = this.#decrypt(string);
+    return this.#encrypt(decrypted.value, decrypted.type);
+  }
+
   /**
- * A Map to store the cache temporarily data.
- * @type {Map<number, {value: string, expiresOn: number|undefined,isObfusacated:boolean, type:String, checksum: string}>}
- */
-  #temp;
+   * Encodes the fields of an object or array that match the JSON paths, the rest of the value is left in clear.
+   *
+   * The passed value is not modified. Each field is encoded on its own and keeps its type,
+   * see {@link parseFieldPath} for the syntax of the paths.
+   *
+   * @example
+   * const encoded = obfuscator.encodeFields(user, ["password", "cards[*].number"]);
+   *
+   * @param {object|array} value - The value holding the fields.
+   * @param {Array.<string>} paths - The JSON paths of the fields to encode.
+   * @returns {object|array} A copy of the value with the matching fields encoded.
+   */
+  encodeFields(value, paths) {
+    const encoded = this.#mapFields(value, paths, (field) => {
+      const stringValue = this.converttostring(field);
+      return this.#encrypt(stringValue.value, stringValue.type);
+    });
+    this.emitter(this.events.obfuscated).catch((err) => {
+      console.error(`[OBFUSCATOR][ERROR] Unable to emit the event "${this.events.obfuscated}".`, err);
+    });
+    return encoded;
+  }
 
   /**
-   * A write Queue, to queue the write operations, so that everything is in sync FIFO.
+   * Decodes the fields of a value encoded by {@link Obfuscator#encodeFields}.
+   * @param {object|array} value - The value holding the encoded fields.
+   * @param {Array.<string>} paths - The JSON paths the fields were encoded with.
+   * @throws {CacheException} - If a field cannot be decoded.
+   * @returns {object|array} A copy of the value with the fields decoded.
    */
-  #writeQueue = new ProcessQueue(5000);
+  decodeFields(value, paths) {
+    // in the reverse order of encoding, so that a field encoded within an encoded field is reachable once its parent is decoded.
+    return this.#mapFields(value, [...paths].reverse(), (field) => this.decode(field));
+  }
 
   /**
-  * The number of milliseconds to wait between checks of the `isPaused` flag in a while loop.
-  * 
-  * A higher value reduces the frequency of checks, potentially improving performance, but
+   * Returns the encoded fields of a value encoded by {@link Obfuscator#encodeFields}, eg: to check them with {@link Obfuscator#hasCurrentKey}.
+   * @param {object|array} value - The value holding the encoded fields.
+   * @param {Array.<string>} paths - The JSON paths the fields were encoded with.
+   * @returns {Array.<string>}
+   */
+  encodedFields(value, paths) {
+    const fields = [];
+    this.#mapFields(value, paths, (field) => {
+      fields.push(field);
+      return field;
+    });
+    return fields;
+  }
+
+  /**
+   * Encodes the fields of a value encoded by {@link Obfuscator#encodeFields} again with the current key.
+   * @param {object|array} value - The value holding the encoded fields.
+   * @param {Array.<string>} paths - The JSON paths the fields were encoded with.
+   * @throws {CacheException} - If a field cannot be decoded.
+   * @returns {object|array} A copy of the value with the fields encoded with the current key.
+   */
+  reencodeFields(value, paths) {
+    return this.encodeFields(this.decodeFields(value, paths), paths);
+  }
+
+  /**
+   * Replaces the fields that match the paths, see {@link mapField}.
+   * @private
+   * @param {object|array} value - The value holding the fields.
+   * @param {Array.<string>} paths - The JSON paths of the fields.
+   * @param {function(any):any} replacer - Returns the new value of a field.
+   * @returns {object|array}
+   */
+  #mapFields(value, paths, replacer) {
+    return paths.reduce((_, path) => mapField(_, parseFieldPath(path), replacer), value);
+  }
+
+  /**
+   * Creates a stream that encrypts the data piped through it with the current key, for payloads too large to be encoded at once.
+   *
+   * The output is a header line `v2s:keyId:iv`, the encrypted data and the 16 bytes authentication tag.
+   * With a {@link KeyProvider} the stream must be created once {@link Obfuscator#ready} has resolved.
+   *
+   * @example
+   * await pipeline(response.data, cache.obfuscate.createEncodeStream(), fs.createWriteStream("temp/attachment.enc"));
+   *
+   * @returns {Transform}
+   */
+  createEncodeStream() {
+    const header = Buffer.from(`${this.#streamVersion}:${this.#keyId}:`);
+    const iv = crypt.randomBytes(12);
+    const cipher = crypt.createCipheriv(this.#cryptType, this.#fideliusCharm, iv);
+    cipher.setAAD(header);
+    let isHeaderWritten = false;
+    const writeHeader = (stream) => {
+      if (!isHeaderWritten) {
+        stream.push(Buffer.concat([header, Buffer.from(iv.toString("hex") + "\n")]));
+        isHeaderWritten = true;
+      }
+    };
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        writeHeader(this);
+        callback(null, cipher.update(chunk));
+      },
+      flush(callback) {
+        writeHeader(this);
+        this.push(cipher.final());
+        callback(null, cipher.getAuthTag());
+      },
+    });
+  }
+
+  /**
+   * Creates a stream that decrypts the data created by {@link Obfuscator#createEncodeStream}, with the key of the keyring it was encrypted with.
+   *
+   * **Note: The data is only authenticated at the end of the stream, the decrypted data must not be trusted before the stream has finished without an error.**
+   *
+   * @example
+   * await pipeline(fs.createReadStream("temp/attachment.enc"), cache.obfuscate.createDecodeStream(), res);
+   *
+   * @returns {Transform} A stream that fails with a {@link CacheException} if the data has been tampered with or the key is not in the keyring.
+   */
+  createDecodeStream() {
+    const tagLength = 16;
+    let header = Buffer.alloc(0);
+    let decipher;
+    // the last bytes may be the authentication tag, they are held back until the stream ends.
+    let tail = Buffer.alloc(0);
+    const createDecipher = (line) => {
+      const [version, keyId, iv] = line.split(":");
+      if (version !== this.#streamVersion || !iv) {
+        throw new CacheException(CacheException.code.INVALID_ENVELOPE, "Invalid stream to decode.");
+      }
+      const key = this.#keyring.get(keyId);
+      if (!key) {
+        throw new CacheException(CacheException.code.UNKNOWN_KEY, `The stream was encoded with the key ${keyId}, which is not in the keyring.`);
+      }
+      const _decipher = crypt.createDecipheriv(this.#cryptType, key, Buffer.from(iv, "hex"));
+      _decipher.setAAD(Buffer.from(`${version}:${keyId}:`));
+      return _decipher;
+    };
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        try {
+          let data = chunk;
+          if (!decipher) {
+            header = Buffer.concat([header, chunk]);
+            const end = header.indexOf("\n");
+            if (end === -1) {
+              // the header is short, anything longer is not a stream of the obfuscator.
+              return callback(header.length > 256 ? new CacheException(CacheException.code.INVALID_ENVELOPE, "Invalid stream to decode.") : null);
+            }
+            decipher = createDecipher(header.subarray(0, end).toString("utf8"));
+            data = header.subarray(end + 1);
+          }
+          data = Buffer.concat([tail, data]);
+          tail = data.subarray(Math.max(0, data.length - tagLength));
+          callback(null, decipher.update(data.subarray(0, data.length - tail.length)));
+        } catch (err) {
+          callback(err);
+        }
+      },
+      flush(callback) {
+        if (!decipher || tail.length !== tagLength) {
+          return callback(new CacheException(CacheException.code.INVALID_ENVELOPE, "The stream is incomplete."));
+        }
+        try {
+          decipher.setAuthTag(tail);
+          callback(null, decipher.final());
+        } catch (err) {
+          callback(new CacheException(CacheException.code.INVALID_ENVELOPE, "The stream has been tampered with or is corrupted.", err));
+        }
+      },
+    });
+  }
+
+  /**
+   * Encrypts a string value with the current key into an envelope.
+   * @private
+   * @param {string} value - The string value.
+   * @param {string} type - The type of the original value.
+   * @returns {string} The envelope.
+   */
+  #encrypt(value, type) {
+    const iv = crypt.randomBytes(12);
+    const cipher = crypt.createCipheriv(this.#cryptType, this.#fideliusCharm, iv);
+    cipher.setAAD(Buffer.from(`${this.#envelopeVersion}:${this.#keyId}:${type}`));
+    const encrypted = cipher.update(value, "utf8", "hex") + cipher.final("hex");
+    return [this.#envelopeVersion, this.#keyId, iv.toString('hex'), encrypted, cipher.getAuthTag().toString('hex'), type].join(':');
+  }
+
+  /**
+   * Decrypts an envelope with the key it was encoded with.
+   * @private
+   * @param {string} string - The envelope.
+   * @param {Map<string, Buffer>} [keyring] - The keys by their id, the keyring of the obfuscator by default.
+   * @returns {{value: string, type: string}} The string value and the type of the original value.
+   */
+  #decrypt(string, keyring = this.#keyring) {
+    const parts = typeof string === "string" ? string.split(':') : [];
+    if (parts.length === 3) {
+      return this.#decryptLegacy(parts, keyring);
+    }
+    if (parts.length !== 6 || parts[0] !== this.#envelopeVersion) {
+      throw new CacheException(CacheException.code.INVALID_ENVELOPE, "Invalid string to decode.");
+    }
+    const [version, keyId, iv, encryptedText, authTag, type] = parts;
+    const key = keyring.get(keyId);
+    if (!key) {
+      throw new CacheException(CacheException.code.UNKNOWN_KEY, `The value was encoded with the key ${keyId}, which is not in the keyring.`);
+    }
+    try {
+      const decipher = crypt.createDecipheriv(this.#cryptType, key, Buffer.from(iv, 'hex'), { authTagLength: 16 });
+      decipher.setAAD(Buffer.from(`${version}:${keyId}:${type}`));
+      decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+      return { value: decipher.update(encryptedText, 'hex', 'utf8') + decipher.final('utf8'), type: type };
+    } catch (err) {
+      throw new CacheException(CacheException.code.INVALID_ENVELOPE, "The value has been tampered with or is corrupted.", err);
+    }
+  }
+
+  /**
+   * Decrypts an envelope without a version (`iv:cipher:type`), encoded with AES-256-CBC by earlier versions.
+   *
+   * These envelopes have no key id, so the keys are tried from newest to oldest.
+   * @private
+   * @param {Array.<string>} parts - The parts of the envelope.
+   * @param {Map<string, Buffer>} keyring - The keys by their id.
+   * @returns {{value: string, type: string}}
+   */
+  #decryptLegacy(parts, keyring) {
+    // Extract the IV, the encrypted data and the type
+    const [iv, encryptedText, type] = parts;
+    let error;
+    for (const key of [...keyring.values()].reverse()) {
+      try {
+        const decipher = crypt.createDecipheriv(this.#legacyCryptType, key, Buffer.from(iv, 'hex'));
+        return { value: decipher.update(encryptedText, 'hex', 'utf8') + decipher.final('utf8'), type: type };
+      } catch (err) {
+        error = err;
+      }
+    }
+    throw new CacheException(CacheException.code.INVALID_ENVELOPE, "Unable to decode the value.", error);
+  }
+
+}
+
+/**
+ * Tracks the expiry time of the cache entries and removes them once they expire, using a single timer for all the entries.
+ *
+ * The deadlines are kept in a min-heap, so that the timer is always set for the entry that expires first.
+ * Rescheduling or cancelling an entry only updates the deadline in a Map, the outdated heap nodes are skipped when they reach the top,
+ * and the heap is rebuilt once it holds too many of them.
+ * @private
+ */
+class ExpirySweeper {
+  /**
+   * The current expiry time of every tracked hashed key in epoch milliseconds.
+   * @type {Map<String, number>}
+   */
+  #deadlines = new Map();
+
+  /**
+   * A min-heap of the deadlines ordered by `expiresOn`, may contain outdated nodes.
+   * @type {Array.<{hKey: String, expiresOn: number}>}
+   */
+  #heap = [];
+
+  /**
+   * Clears the pending timer, `undefined` when no timer is set.
+   * @type {Function|undefined}
+   */
+  #clearTimer;
+
+  /**
+   * The deadline for which the timer is set.
+   * @type {number|undefined}
+   */
+  #timerDeadline;
+
+  /**
+   * @param {(hKey: String) => Promise.<void>} onExpire - Called for every entry whose deadline has passed.
+   */
+  constructor(onExpire) {
+    assert(typeof onExpire === 'function', new Error('onExpire must be a function'));
+    this.onExpire = onExpire;
+  }
+
+  /**
+   * The number of entries with a pending deadline.
+   * @returns {number}
+   */
+  get size() {
+    return this.#deadlines.size;
+  }
+
+  /**
+   * Sets the expiry time of an entry, replacing any earlier deadline of the same key.
+   * @param {String} hKey - The hashed key.
+   * @param {number} expiresOn - Epoch milliseconds at which the entry expires.
+   */
+  schedule(hKey, expiresOn) {
+    this.#deadlines.set(hKey, expiresOn);
+    this.#push({ hKey: hKey, expiresOn: expiresOn });
+    this.#compact();
+    this.#arm();
+  }
+
+  /**
+   * Stops tracking the expiry of an entry.
+   * @param {String} hKey - The hashed key.
+   */
+  cancel(hKey) {
+    if (this.#deadlines.delete(hKey)) {
+      this.#compact();
+      this.#arm();
+    }
+  }
+
+  /**
+   * Stops tracking all the entries and clears the pending timer.
+   */
+  clear() {
+    this.#deadlines.clear();
+    this.#heap = [];
+    this.#disarm();
+  }
+
+  /**
+   * Checks if a heap node still holds the current deadline of its key.
+   * @private
+   */
+  #isCurrent(node) {
+    return this.#deadlines.get(node.hKey) === node.expiresOn;
+  }
+
+  /**
+   * Returns the earliest current node, dropping the outdated nodes on top of the heap.
+   * @private
+   * @returns {{hKey: String, expiresOn: number}|undefined}
+   */
+  #peek() {
+    while (this.#heap.length && !this.#isCurrent(this.#heap[0])) {
+      this.#pop();
+    }
+    return this.#heap[0];
+  }
+
+  /**
+   * @private
+   */
+  #push(node) {
+    const heap = this.#heap;
+    heap.push(node);
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent].expiresOn <= heap[i].expiresOn) {
+        break;
+      }
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  }
+
+  /**
+   * @private
+   */
+  #pop() {
+    const heap = this.#heap;
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length) {
+      heap[0] = last;
+      let i = 0;
+      while (true) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < heap.length && heap[left].expiresOn < heap[smallest].expiresOn) {
+          smallest = left;
+        }
+        if (right < heap.length && heap[right].expiresOn < heap[smallest].expiresOn) {
+          smallest = right;
+        }
+        if (smallest === i) {
+          break;
+        }
+        [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+
+  /**
+   * Rebuilds the heap from the current deadlines once most of its nodes are outdated, so that frequent overwrites do not grow it.
+   * @private
+   */
+  #compact() {
+    if (this.#heap.length > 2 * this.#deadlines.size + 32) {
+      this.#heap = [];
+      for (const [hKey, expiresOn] of this.#deadlines) {
+        this.#push({ hKey: hKey, expiresOn: expiresOn });
+      }
+    }
+  }
+
+  /**
+   * Sets the timer for the earliest deadline, or clears it if nothing is left to expire.
+   * @private
+   */
+  #arm() {
+    const next = this.#peek();
+    if (!next) {
+      this.#disarm();
+      return;
+    }
+    if (this.#clearTimer && this.#timerDeadline === next.expiresOn) {
+      return;
+    }
+    this.#disarm();
+    this.#timerDeadline = next.expiresOn;
+    this.#clearTimer = setUnboundedTimeout(() => this.#sweep(), Math.max(0, next.expiresOn - Date.now()));
+  }
+
+  /**
+   * @private
+   */
+  #disarm() {
+    if (this.#clearTimer) {
+      this.#clearTimer();
+    }
+    this.#clearTimer = undefined;
+    this.#timerDeadline = undefined;
+  }
+
+  /**
+   * Hands all the entries whose deadline has passed to `onExpire` and sets the timer for the next deadline.
+   * @private
+   */
+  async #sweep() {
+    this.#clearTimer = undefined;
+    this.#timerDeadline = undefined;
+    const now = Date.now();
+    const expired = [];
+    let next = this.#peek();
+    while (next && next.expiresOn <= now) {
+      this.#pop();
+      this.#deadlines.delete(next.hKey);
+      expired.push(next.hKey);
+      next = this.#peek();
+    }
+    this.#arm();
+    for (const hKey of expired) {
+      try {
+        await this.onExpire(hKey);
+      } catch (err) {
+        console.error(`[CACHE][ERROR] Unable to expire cache with key ${hKey}.`, err);
+      }
+    }
+  }
+}
+
+/**
+ * A simple cache map to cache some data which is expensive to fetch.
+ *
+ * The cache can be bounded by number of entries and/or approximate size, once a limit is reached entries are evicted
+ * as per the {@link EVICTION_POLICY} and an `evicted` event is emitted for each of them.
+ *
+ * Events, all of them are emitted once the change has been stored:
+ * - `set`: Emitted with the {@link CacheEventDetails} when a value is written.
+ * - `deleted`: Emitted with the {@link CacheEventDetails} when an entry is deleted or invalidated.
+ * - `expired`: Emitted with the {@link CacheEventDetails} when an entry is removed since its duration elapsed.
+ * - `evicted`: Emitted with the {@link EvictionDetails} when an entry is evicted to stay within the limits.
+ * - `cleared`: Emitted with the {@link CacheBulkEventDetails} when the cache is destroyed.
+ * - `rotated`: Emitted with the {@link CacheBulkEventDetails} when the obfuscated entries are re-encoded after a key rotation.
+ *
+ * @example
+ * // Create a new cache
+ * const cache = new Cache();
+ *
+ * // Add a value to the cache
+ * await cache.write('key', 'value', Duration.seconds(60)); // The value will be removed from the cache after 60 seconds
+ *
+ * // Get a value from the cache
+ * const value = await cache.read('key'); // Returns 'value'
+ *
+ * // Check if a key is in the cache
+ * const hasKey = await cache.has('key'); // Returns true
+ *
+ * // Create a cache that keeps its data in a file
+ * const fileCache = new Cache({ store: new FileCacheStore() });
+ *
+ * // Create a cache of 500 entries or 50MB at most, evicting the least frequently used entries.
+ * const boundedCache = new Cache({ maxEntries: 500, maxSize: 50 * 1024 * 1024, evictionPolicy: "lfu" });
+ * boundedCache.on(boundedCache.events.evicted, ({ key }) => console.info(`${key} evicted`));
+ */
+class Cache extends EventEmitter {
+  /**
+   * The store that holds the cache data. The keys are hashed keys and the values are objects containing the actual value and its metadata.
+   * @type {CacheStore}
+   */
+  #store;
+
+  /**
+   * A flag to check if there is any reading going on
+   * @type {boolean}
+   */
+  #isPaused = false;
+
+  /**
+   * A write Queue, to queue the write operations, so that everything is in sync FIFO.
+   */
+  #writeQueue = new ProcessQueue(5000);
+
+  /**
+  * The number of milliseconds to wait between checks of the `isPaused` flag in a while loop.
+  * 
+  * A higher value reduces the frequency of checks, potentially improving performance, but
   * might increase the delay in responding to changes in the `isPaused` flag.
   * 
   *  @type {number}
   */
   #pauseCheckInterval = 10;
 
+  /**
+   * Secret used to hash the keys, plain SHA-256 is used if not set.
+   * @type {String|undefined}
+   */
+  #hashSecret;
+
+  /**
+   * Usage of every entry in the store, used to select the entries to be evicted.
+   *
+   * A Map keeps the insertion order, so an entry is moved to the end whenever it is accessed and the first entry is always the least recently used one.
+   * @type {Map<String, {key: String|undefined, size: number, hits: number, isObfuscated: boolean}>}
+   */
+  #index = new Map();
+
+  /**
+   * Loads the usage index from the entries that already exist in the store.
+   * @type {Promise.<void>|undefined}
+   */
+  #indexLoaded;
+
+  /**
+   * Current approximate size of all the values in the cache in bytes.
+   * @type {number}
+   */
+  #size = 0;
+
+  /**
+   * @type {number|undefined}
+   */
+  #maxEntries;
+
+  /**
+   * @type {number|undefined}
+   */
+  #maxSize;
+
+  /**
+   * @type {EVICTION_POLICY}
+   */
+  #evictionPolicy;
+
+  /**
+   * Usage counters, see {@link CacheStats}.
+   */
+  #counters = Cache.#emptyCounters();
+
+  /**
+   * Loaders that are currently running for a hashed key, so that concurrent calls share the same promise.
+   * @type {Map<String, Promise.<any>>}
+   */
+  #inFlight = new Map();
+
+  /**
+   * Loaders registered to refresh stale entries, by hashed key.
+   * @type {Map<String, {key: String, loader: cacheLoader, options: ComputeOptions}>}
+   */
+  #loaders = new Map();
+
+  /**
+   * Hashed keys of the stale entries that are being refreshed in the background.
+   * @type {Set<String>}
+   */
+  #refreshing = new Set();
+
+  /**
+   * Removes the entries once their expiry time has passed, a single timer is used for all the entries.
+   * @type {ExpirySweeper}
+   */
+  #expiry = new ExpirySweeper((hKey) => this.#expire(hKey));
+
+  /**
+   * The namespaces created from this cache by their path, along with their usage counters.
+   * @type {Map<String, {namespace: CacheNamespace, counters: Object}>}
+   */
+  #namespaces = new Map();
+
+
+  /**
+   * Constructs a new Cache object.
+   * 
+   * The constructor initializes the store that holds the cache data and a new Obfuscator object.
+   * It also sets up an event handler for the 'key_rotated' event of the Obfuscator.
+   * 
+   * The previous keys are kept in the keyring of the Obfuscator, so the obfuscated entries stay readable after a rotation and nothing is paused.
+   * When the 'key_rotated' event is emitted, the entries of the previous keys are re-encoded with the new key in the background, one entry
+   * at a time in order with the writes. Entries read before the background re-encoding reaches them are re-encoded on access.
+   * 
+   * ## Storage:
+   *
+   * By default the data is kept in memory ({@link MemoryCacheStore}), any other {@link CacheStore} can be passed to share
+   * the cache between app instances or to keep it across restarts. Expiry, obfuscation and checksum validation are handled
+   * by the cache and behave the same for every store.
+   *
+   * ## Keys and Data Integrity:
+   *
+   * Keys are stored as a HMAC-SHA256 of the key (whitespaces removed), using the `hashSecret` option or the `CACHE_HASH_KEY_INITALIZER`
+   * environment variable as the secret. If neither is set (eg: local and test runs) a plain SHA-256 is used, both are collision free in practice.
+   * The secret must be the same on all app instances sharing a store.
+   *
+   * **Note: Hashing does not hide the keys from anyone with access to the store, the original key is stored along with every entry
+   * for the prefix invalidation and the snapshots. Do not put secrets into the keys, obfuscate the values instead.**
+   *
+   * A SHA-256 checksum of the key is stored along with every entry, an existing entry with a different checksum is overwritten by the new write and counted as a collision.
+   *
+   * @param {CacheOptions} [options={}] - Additional options for the cache.
+   */
+  constructor(options = {}) {
+    super();
+    assert(!options?.store || options.store instanceof CacheStore, new Error("store must be a CacheStore instance or undefined"));
+    assert(!options?.maxEntries || options.maxEntries > 0, new Error("maxEntries must be a positive number"));
+    assert(!options?.maxSize || options.maxSize > 0, new Error("maxSize must be a positive number"));
+    this.#store = options?.store ?? new MemoryCacheStore();
+    this.#hashSecret = options?.hashSecret ?? process.env?.CACHE_HASH_KEY_INITALIZER;
+    this.#maxEntries = options?.maxEntries;
+    this.#maxSize = options?.maxSize;
+    this.#evictionPolicy = EVICTION_POLICY[options?.evictionPolicy] ?? options?.evictionPolicy ?? EVICTION_POLICY.LRU;
+    assert(Object.values(EVICTION_POLICY).includes(this.#evictionPolicy), new Error(`evictionPolicy must be one of ${Object.values(EVICTION_POLICY)}`));
+    /**  */
+    this.obfuscate = new Obfuscator({ retainedKeys: options?.retainedKeys, keyProvider: options?.keyProvider });
+    this.obfuscate.on(this.obfuscate.events.key_rotated, this.#handleKeyRotated);
+  }
+
+  /**
+   * Current Cache object as JSON object.
+   * @returns {Promise.<{[k: string]: {value: string, expiresOn: number | undefined, isObfusacated: boolean, type: string,checksum: string}}>}
+   */
+  get table() {
+    return (async () => {
+      return Object.fromEntries(await this.#store.entries());
+    })();
+  }
+
+  /**
+   * The store in which the cache data is kept.
+   * @returns {CacheStore}
+   */
+  get store() {
+    return this.#store;
+  }
+
+  /**
+   * If read or write operations is paused.
+   */
+  get isPaused() {
+    return this.#isPaused;
+  }
+
+  /**
+   * Returns the events that this class emits
+   */
+  get events() {
+    return {
+      /**
+       * A value is written to the cache.
+       */
+      set: "set",
+      /**
+       * An entry is deleted or invalidated.
+       */
+      deleted: "deleted",
+      /**
+       * An entry is removed since its duration elapsed.
+       */
+      expired: "expired",
+      /**
+       * An entry is evicted to keep the cache within its limits.
+       */
+      evicted: "evicted",
+      /**
+       * All the entries are removed.
+       */
+      cleared: "cleared",
+      /**
+       * The obfuscated entries are re-encoded with a new key.
+       */
+      rotated: "rotated",
+    };
+  }
+
+  /**
+   * Emits a cache event, errors in the listeners are logged so that they never fail the cache operation.
+   * @private
+   * @param {String} event - The name of the event.
+   * @param {CacheEventDetails|EvictionDetails|CacheBulkEventDetails} details - The details of the change.
+   */
+  #emitEvent(event, details) {
+    const emitters = [[this, details]];
+    // the namespaces receive the events of their own entries and of their child namespaces.
+    if (typeof details?.key === "string") {
+      for (const { namespace } of this.#namespaces.values()) {
+        if (isInNamespace(details.key, namespace.name)) {
+          emitters.push([namespace, { ...details, key: toNamespaceKey(details.key, namespace.name) }]);
+        }
+      }
+    }
+    for (const [emitter, _details] of emitters) {
+      try {
+        emitter.emit(event, _details);
+      } catch (err) {
+        console.error(`[CACHE][ERROR] Error in listener for event "${event}":`, err);
+      }
+    }
+  }
+
+  /**
+   * Increments a usage counter of the cache and of the namespaces the key belongs to.
+   * @private
+   * @param {String|undefined} key - The original key.
+   * @param {String} counter - The counter to increment, see {@link CacheStats}.
+   */
+  #count(key, counter) {
+    this.#counters[counter]++;
+    if (typeof key === "string") {
+      for (const { namespace, counters } of this.#namespaces.values()) {
+        if (isInNamespace(key, namespace.name)) {
+          counters[counter]++;
+        }
+      }
+    }
+  }
+
+  #handleKeyRotated = async () => {
+    // re encode the entries of the previous keys in the background, reads and writes go on in between.
+    let entries = 0;
+    try {
+      for (const [hKey, entry] of await this.#store.entries()) {
+        const envelopes = this.#envelopes(entry);
+        if (envelopes.some((envelope) => !this.obfuscate.hasCurrentKey(envelope)) && (await this.#reencodeEntry(hKey, envelopes))) {
+          entries++;
+        }
+      }
+    } catch (err) {
+      console.error("[CACHE][ERROR] Unable to re-encode the cache after the key rotation.", err);
+    }
+    this.#emitEvent(this.events.rotated, { reason: "key_rotated", entries: entries });
+  }
+
+  /**
+   * Returns the encoded values of an entry, the value itself or the fields of a field-level obfuscated entry.
+   * @private
+   * @param {CacheEntry} entry - The entry as stored in the store.
+   * @returns {Array.<String>} Empty for entries in clear.
+   */
+  #envelopes(entry) {
+    if (entry.isObfusacated) {
+      return [entry.value];
+    }
+    return entry.obfuscatedFields?.length ? this.obfuscate.encodedFields(entry.value, entry.obfuscatedFields) : [];
+  }
+
+  /**
+   * Encodes an obfuscated entry again with the current key of the Obfuscator.
+   *
+   * The entry is only updated if it still holds the same encoded values, so that a newer write is never overwritten.
+   * @private
+   * @param {String} hKey - The hashed key.
+   * @param {Array.<String>} envelopes - The encoded values of the entry as it was read, see `#envelopes`.
+   * @returns {Promise.<boolean>} `true` if the entry has been re-encoded.
+   */
+  #reencodeEntry(hKey, envelopes) {
+    return this.#enqueue(async () => {
+      const entry = await this.#store.get(hKey);
+      const current = entry ? this.#envelopes(entry) : [];
+      if (current.length === 0 || current.join() !== envelopes.join() || current.every((envelope) => this.obfuscate.hasCurrentKey(envelope))) {
+        return false;
+      }
+      try {
+        // the envelopes keep their length, so the size in the usage index stays the same.
+        const value = entry.isObfusacated ? this.obfuscate.reencode(entry.value) : this.obfuscate.reencodeFields(entry.value, entry.obfuscatedFields);
+        await this.#store.set(hKey, { ...entry, value: value });
+        return true;
+      } catch (err) {
+        console.warn(`[CACHE][WARN] Unable to re-encode cache with key ${hKey}.`, err.exception_message ?? err.message);
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Creates a hash key for the cache.
+   *
+   * A HMAC-SHA256 when a hash secret is configured, else a SHA-256 of the key.
+   * @private
+   * @param {String} key - The key to hash.
+   * @returns {String} - The hashed key as a hex string.
+   */
+  #createHashKey(key) {
+    // remove space from keys
+    const _key = key.replace(/\s/g, '');
+    const hash = this.#hashSecret ? crypt.createHmac('sha256', this.#hashSecret) : crypt.createHash('sha256');
+    return hash.update(_key).digest('hex');
+  }
+
+
+  /**
+   * Removes an entry whose expiry time has passed, called by the {@link ExpirySweeper}.
+   *
+   * The entry is read again before it is removed, since a store shared with other app instances may hold a newer value for the key.
+   * @private
+   * @param {String} hKey - The hashed key.
+   * @returns {Promise.<void>}
+   */
+  #expire(hKey) {
+    return this.#enqueue(async () => {
+      const entry = await this.#store.get(hKey);
+      if (!this.#isExpired(entry)) {
+        if (entry?.expiresOn) {
+          this.#expiry.schedule(hKey, entry.expiresOn);
+        }
+        return;
+      }
+      if (await this.#removeEntry(hKey)) {
+        this.#count(entry.key, "expirations");
+        this.#emitEvent(this.events.expired, { key: entry.key, hashKey: hKey, reason: "ttl" });
+        console.info(`[INFO] Cache with key ${hKey} has been expired as per set duration.`);
+      }
+    });
+  }
+
+  /**
+   * Checks if the entry has passed its expiry time.
+   *
+   * Stores that outlive the application (file, database) may still hold entries whose cleanup timer never ran,
+   * so the expiry is checked on every access as well.
+   * @private
+   * @param {CacheEntry|undefined} entry - The entry to check.
+   * @returns {boolean} `true` if the entry is expired.
+   */
+  #isExpired(entry) {
+    return !!entry?.expiresOn && entry.expiresOn <= Date.now();
+  }
+
+  /**
+   * Reads an entry from the store, expired entries are deleted and treated as missing.
+   * @private
+   * @param {String} hKey - The hashed key.
+   * @returns {Promise.<CacheEntry|undefined>}
+   */
+  async #getEntry(hKey) {
+    const entry = await this.#store.get(hKey);
+    if (this.#isExpired(entry)) {
+      await this.#removeEntry(hKey);
+      this.#count(entry.key, "expirations");
+      this.#emitEvent(this.events.expired, { key: entry.key, hashKey: hKey, reason: "ttl" });
+      return undefined;
+    }
+    return entry;
+  }
+
+  /**
+   * Deletes an entry from the store and the usage index, along with the loader registered for it.
+   * @private
+   * @param {String} hKey - The hashed key.
+   * @returns {Promise.<boolean>} `true` if the entry existed in the store.
+   */
+  async #removeEntry(hKey) {
+    this.#untrack(hKey);
+    this.#loaders.delete(hKey);
+    return await this.#store.delete(hKey);
+  }
+
+  /**
+   * Approximate size of a value in bytes.
+   * @private
+   * @param {any} value - The value as stored in the store.
+   * @returns {number}
+   */
+  #approximateSize(value) {
+    return Buffer.byteLength(String(this.obfuscate.converttostring(value).value ?? ""));
+  }
+
+  /**
+   * Loads the usage of the entries that already exist in the store (eg: written before a restart) into the index.
+   * @private
+   * @returns {Promise.<void>}
+   */
+  #ensureIndex() {
+    if (!this.#indexLoaded) {
+      this.#indexLoaded = (async () => {
+        for (const [hKey, entry] of await this.#store.entries()) {
+          if (!this.#index.has(hKey)) {
+            this.#track(hKey, entry.key, entry, false);
+          }
+        }
+      })();
+    }
+    return this.#indexLoaded;
+  }
+
+  /**
+   * Adds or updates an entry in the usage index and marks it as the most recently used.
+   * @private
+   * @param {String} hKey - The hashed key.
+   * @param {String|undefined} key - The original key.
+   * @param {CacheEntry} entry - The entry as stored in the store.
+   * @param {boolean} [resetHits=true] - Resets the access count, `true` when a new value is written.
+   */
+  #track(hKey, key, entry, resetHits = true) {
+    const existing = this.#index.get(hKey);
+    const size = this.#approximateSize(entry.value);
+    this.#untrack(hKey);
+    this.#index.set(hKey, { key: key ?? existing?.key, size: size, hits: resetHits ? 0 : existing?.hits ?? 0, isObfuscated: !!entry.isObfusacated || entry.obfuscatedFields?.length > 0 });
+    this.#size += size;
+    // an overwrite replaces the deadline of the previous value.
+    if (entry.expiresOn) {
+      this.#expiry.schedule(hKey, entry.expiresOn);
+    }
+  }
+
+  /**
+   * Removes an entry from the usage index and stops tracking its expiry.
+   * @private
+   * @param {String} hKey - The hashed key.
+   */
+  #untrack(hKey) {
+    this.#expiry.cancel(hKey);
+    const existing = this.#index.get(hKey);
+    if (existing) {
+      this.#size -= existing.size;
+      this.#index.delete(hKey);
+    }
+  }
+
+  /**
+   * Records an access to an entry, moving it to the end of the index.
+   * @private
+   * @param {String} hKey - The hashed key.
+   */
+  #touch(hKey) {
+    const existing = this.#index.get(hKey);
+    if (existing) {
+      this.#index.delete(hKey);
+      existing.hits++;
+      this.#index.set(hKey, existing);
+    }
+  }
+
+  /**
+   * Checks if the cache has grown past any of its limits.
+   * @private
+   * @returns {boolean}
+   */
+  #isOverLimit() {
+    return (!!this.#maxEntries && this.#index.size > this.#maxEntries) || (!!this.#maxSize && this.#size > this.#maxSize);
+  }
+
+  /**
+   * Selects the next entry to be evicted as per the eviction policy.
+   * @private
+   * @param {String} protectedKey - The hashed key that was just written, it is only selected if it is the last entry left.
+   * @returns {String|undefined} The hashed key of the entry to be evicted.
+   */
+  #selectVictim(protectedKey) {
+    let victim;
+    let victimHits = Infinity;
+    for (const [hKey, usage] of this.#index) {
+      if (hKey === protectedKey) {
+        continue;
+      }
+      // the index is in least recently used order, so the first entry is the LRU victim.
+      if (this.#evictionPolicy === EVICTION_POLICY.LRU) {
+        return hKey;
+      }
+      if (usage.hits < victimHits) {
+        victim = hKey;
+        victimHits = usage.hits;
+      }
+    }
+    return victim ?? (this.#index.has(protectedKey) ? protectedKey : undefined);
+  }
+
+  /**
+   * Evicts entries until the cache is within its limits.
+   * @private
+   * @param {String} protectedKey - The hashed key that was just written.
+   * @returns {Promise.<void>}
+   */
+  async #evict(protectedKey) {
+    while (this.#isOverLimit()) {
+      const victim = this.#selectVictim(protectedKey);
+      if (victim === undefined) {
+        break;
+      }
+      const usage = this.#index.get(victim);
+      const reason = !!this.#maxEntries && this.#index.size > this.#maxEntries ? "max_entries" : "max_size";
+      await this.#removeEntry(victim);
+      this.#count(usage.key, "evictions");
+      console.info(`[INFO] Cache with key ${victim} has been evicted as per ${this.#evictionPolicy} policy.`);
+      this.#emitEvent(this.events.evicted, { key: usage.key, hashKey: victim, reason: reason, size: usage.size, policy: this.#evictionPolicy });
+    }
+  }
+
+  /**
+   * Creates a checksum for the key
+   * @param {string} key - The key for which checksum must be created.
+   * @return {string} The checksum hex string
+   */
+  #createCheckSum(key) {
+    const hash = crypt.createHash('sha256');
+    hash.update(key);
+    return hash.digest('hex');
+  }
+
+  /**
+ * verifies a the checksum when there for similar keys, to 
+ * @param {String} key - the key for which the checksum has to be validated, this is the hashed key.
+ * @param {string} current_checksum - The current checksum.
+ * @return {Promise.<boolean>} `true` if checksum is matching.
+ * @private
+ */
+  async #validateKeyCheckSum(key, current_checksum) {
+    const entry = await this.#getEntry(key);
+    // for non-exsiting key return true.
+    if (!entry) {
+      return true;
+    }
+
+    return entry.checksum === current_checksum;
+  }
+
+  /**
+   * Pauses the execution of the current function if the cache is in a paused state.
+   * It checks the paused state every `#pauseCheckInterval` milliseconds.
+   * Execution resumes once the cache is no longer in a paused state.
+   * 
+   * @private
+   * @async
+   */
+  async #pauseUntilOperationsResumed() {
+    // the keys of a key provider are loaded asynchronously when the cache is created.
+    await this.obfuscate.ready;
+    while (this.#isPaused) {
+      await new Promise(resolve => setTimeout(resolve, this.#pauseCheckInterval)); // wait for 50ms before checking again
+    }
+    return;
+  }
+
+  /**
+   * Adds an operation to the write queue.
+   * @private
+   * @param {Function} operation - The operation to be executed in FIFO order with the other writes.
+   * @returns {Promise.<any>} Resolves with the result of the operation once it has been executed.
+   */
+  #enqueue(operation) {
+    return new Promise((resolve, reject) => {
+      this.#writeQueue.enqueue(async () => {
+        // errors are passed back to the caller instead of the queue, so that the queue keeps processing.
+        try {
+          resolve(await operation());
+        } catch (err) {
+          reject(err);
+        }
+      });
+    });
+  }
+
+  /**
+   * Looks up a value in the cache and updates the usage of the entry.
+   *
+   * Stale entries are returned as is, and a refresh is started in the background if a loader is registered for the key.
+   * The caller must wait for the paused operations to resume.
+   * @private
+   * @param {String} hKey - The hashed key.
+   * @param {String} key - The original key.
+   * @returns {Promise.<{found: boolean, value: any}>}
+   */
+  async #lookup(hKey, key) {
+    let cacheItem = await this.#getEntry(hKey);
+    const envelopes = cacheItem ? this.#envelopes(cacheItem) : [];
+    // entries of a key dropped from the keyring can no longer be decoded and are treated as missing.
+    if (envelopes.some((envelope) => !this.obfuscate.hasKey(envelope))) {
+      console.warn(`[CACHE][WARN] Cache with key ${hKey} was obfuscated with a key that is no longer available and has been removed.`);
+      await this.#removeEntry(hKey);
+      cacheItem = undefined;
+    }
+    if (!cacheItem) {
+      this.#count(key, "misses");
+      return { found: false, value: null };
+    }
+    this.#count(key, "hits");
+    this.#touch(hKey);
+
+    if (!!cacheItem.staleOn && cacheItem.staleOn <= Date.now()) {
+      this.#count(key, "staleHits");
+      this.#revalidate(hKey);
+    }
+
+    // re-encoded in the background, the value is decoded with the previous key meanwhile.
+    if (envelopes.some((envelope) => !this.obfuscate.hasCurrentKey(envelope))) {
+      this.#reencodeEntry(hKey, envelopes).catch((err) => {
+        console.warn(`[CACHE][WARN] Unable to re-encode cache with key ${hKey} on access.`, err);
+      });
+    }
+    if (cacheItem.isObfusacated) {
+      return { found: true, value: this.obfuscate.decode(cacheItem.value) };
+    }
+    if (envelopes.length > 0) {
+      return { found: true, value: this.obfuscate.decodeFields(cacheItem.value, cacheItem.obfuscatedFields) };
+    }
+    return { found: true, value: cacheItem.value };
+  }
+
+  /**
+   * Retrieves a value from the cache.
+   * @param {string} key - The key associated with the value to retrieve.
+   * @returns {string|number|boolean|object|array|null} - The value associated with the key, or null if the key is not in the cache.
+   */
+  async read(key) {
+    // if there is an read write operation block, this will awit until its unblocked.
+    await this.#pauseUntilOperationsResumed();
+    return (await this.#lookup(this.#createHashKey(key), key)).value;
+  }
+
+  /**
+   * Retrieves the values of several keys at once, waiting only once for paused operations to resume.
+   *
+   * @example
+   * const results = await cache.readMany(approvers.map((id) => `user.${id}`));
+   * const missing = results.filter((result) => !result.found).map((result) => result.key);
+   *
+   * @param {Array.<string>} keys - The keys associated with the values to retrieve.
+   * @returns {Promise.<Array.<BatchReadResult>>} The results in the order of the keys.
+   */
+  async readMany(keys) {
+    assert(Array.isArray(keys), new Error("keys must be an array"));
+    await this.#pauseUntilOperationsResumed();
+    return await Promise.all(keys.map(async (key) => ({ key: key, ...(await this.#lookup(this.#createHashKey(key), key)) })));
+  }
+
+  /**
+   * Refreshes a stale entry in the background using its registered loader.
+   *
+   * Only one refresh runs per key, errors are logged and the stale value is kept until its expiration.
+   * @private
+   * @param {String} hKey - The hashed key.
+   */
+  #revalidate(hKey) {
+    const registration = this.#loaders.get(hKey);
+    if (!registration || this.#refreshing.has(hKey)) {
+      return;
+    }
+    this.#refreshing.add(hKey);
+    const { key, loader, options } = registration;
+    (async () => {
+      const value = await loader(key);
+      if (!options?.shouldCache || options.shouldCache(value)) {
+        await this.write(key, value, options?.expiration ?? "never", options?.obfuscate ?? false, { staleAfter: options?.staleAfter, tags: options?.tags });
+      }
+      this.#count(key, "refreshes");
+      console.info(`[INFO] Stale cache with key ${hKey} has been refreshed.`);
+    })()
+      .catch((err) => {
+        this.#count(key, "refreshFailures");
+        console.error(`[ERROR] Unable to refresh stale cache for key ${key}.`, err);
+      })
+      .finally(() => {
+        this.#refreshing.delete(hKey);
+      });
+  }
+
+  /**
+   * Registers a loader for a key, which is used to refresh the value in the background once it becomes stale.
+   *
+   * Values only become stale when they are written with a `staleAfter` duration, see {@link WriteOptions}.
+   * The loader is removed once the entry is deleted, expired or evicted, so it has to be registered again for a new value of the key.
+   *
+   * @example
+   * cache.registerLoader("notification.types", () => fetchNotificationTypes(), { expiration: Duration.hours(24), staleAfter: Duration.hours(1) });
+   * await cache.write("notification.types", types, Duration.hours(24), false, { staleAfter: Duration.hours(1) });
+   *
+   * @param {string} key - The key for which the loader is registered.
+   * @param {cacheLoader} loader - Function that loads a fresh value.
+   * @param {ComputeOptions} [options={}] - Options for storing the refreshed value.
+   */
+  registerLoader(key, loader, options = {}) {
+    assert(typeof loader === "function", new Error("loader must be a function"));
+    this.#loaders.set(this.#createHashKey(key), { key: key, loader: loader, options: options });
+  }
+
+  /**
+   * Removes the loader registered for a key, stale values of the key are no longer refreshed.
+   * @param {string} key - The key for which the loader was registered.
+   * @returns {boolean} `true` if a loader was registered.
+   */
+  unregisterLoader(key) {
+    return this.#loaders.delete(this.#createHashKey(key));
+  }
+
+  /**
+   * Retrieves a value from the cache, or loads it using the `loader` and stores it when it's not in the cache.
+   *
+   * Concurrent calls for the same key share a single lookup and call to the loader, so that an expensive backend is hit only once
+   * no matter how many requests are waiting for the same value. The shared promise is kept until the value has been written,
+   * so a call made in between is never served a miss.
+   *
+   * If the value cannot be stored, the error is logged and the loaded value is still returned.
+   *
+   * When `staleAfter` is set, the loader is registered for the key as long as the value is cached (see {@link Cache#registerLoader})
+   * and stale values are returned immediately while they are refreshed in the background.
+   *
+   * @example
+   * const destination = await cache.getOrCompute("destination.metadata", () => fetchMetadata(), { expiration: Duration.hours(1) });
+   *
+   * @param {string} key - The key associated with the value.
+   * @param {cacheLoader} loader - Function that loads the value when it's not in the cache.
+   * @param {ComputeOptions} [options={}] - Options for storing the loaded value.
+   * @returns {Promise.<any>} The cached or loaded value.
+   * @throws {Error} - Errors thrown by the loader are passed to all the waiting callers, nothing is cached.
+   */
+  async getOrCompute(key, loader, options = {}) {
+    assert(typeof loader === "function", new Error("loader must be a function"));
+    const hKey = this.#createHashKey(key);
+
+    if (this.#inFlight.has(hKey)) {
+      return this.#inFlight.get(hKey);
+    }
+
+    // the lookup is part of the shared promise, so that no other call can start between the lookup and the loader.
+    const computation = (async () => {
+      await this.#pauseUntilOperationsResumed();
+      const cached = await this.#lookup(hKey, key);
+      if (cached.found) {
+        if (options?.staleAfter) {
+          this.registerLoader(key, loader, options);
+        }
+        return cached.value;
+      }
+      const value = await loader(key);
+      if (!options?.shouldCache || options.shouldCache(value)) {
+        try {
+          await this.write(key, value, options?.expiration ?? "never", options?.obfuscate ?? false, { staleAfter: options?.staleAfter, tags: options?.tags });
+          // registered once the value is cached, a loader is only kept while its entry exists.
+          if (options?.staleAfter) {
+            this.registerLoader(key, loader, options);
+          }
+        } catch (err) {
+          console.error(`[ERROR] Unable to cache the computed value for key ${key}.`, err);
+        }
+      }
+      return value;
+    })().finally(() => {
+      this.#inFlight.delete(hKey);
+    });
+
+    this.#inFlight.set(hKey, computation);
+    return computation;
+  }
+
+  /**
+   * Stores a value in the cache.
+   *
+   * **Note: Exisiting keys data will be updated/overwritten.**
+   * 
+   * Writes are executed in the order they are called, the returned promise resolves once this write has been stored.
+   *
+   * ## Field-level obfuscation:
+   *
+   * Instead of `true`, `obfuscate` can be a list of JSON paths of an object or array value, eg: `["password", "cards[*].number"]`.
+   * Only those fields are obfuscated, each keeping its type, and the rest of the value is stored in clear. {@link Cache#read} decodes
+   * the fields transparently. Paths use the dot notation, `[index]` selects an array element and `*` every element or property,
+   * paths that do not match a field are ignored.
+   *
+   * @example
+   * await cache.write(`user.${user.id}`, user, Duration.hours(1), ["password", "cards[*].number"]);
+   *
+   * @param {string} key - The key to associate with the value.
+   * @param {any} value - The value to store.
+   * @param {Duration|null} [expiration="never"] - The duration for which the cache is valid. If a Duration object is provided, the cache will expire after that duration. If null, the cache will not expire and will have the same lifespan as the application.
+   * @param {boolean|Array.<string>} [obfuscate=false] - Obfuscate the value before storing it in the cache, or only the fields at the JSON paths, `false` by default.
+   * @param {WriteOptions} [options={}] - Additional options for the entry.
+   * @returns {Promise.<void>}
+   */
+  async write(key, value, expiration = "never", obfuscate = false, options = {}) {
+    const write = this.#prepareWrite({ key: key, value: value, expiration: expiration, obfuscate: obfuscate, options: options });
+
+    // if there is an read write operation block, this will awit until its unblocked.
+    await this.#pauseUntilOperationsResumed();
+
+    const _value = this.#encodeWrite(write);
+
+   // add to write queue.
+    await this.#enqueue(async () => {
+      await this.#storeWrite(write, _value);
+    });
+  }
+
+  /**
+   * Stores several values at once as a single unit of the write queue.
+   *
+   * All the values are validated and obfuscated before the first one is stored, so that an invalid item stores none of them,
+   * and all the values of the batch are encoded with the same key.
+   *
+   * **Note: Failures of the store itself (eg: a database error) are not rolled back, the items stored until then are kept.**
+   *
+   * @example
+   * await cache.writeMany(users.map((user) => ({ key: `user.${user.id}`, value: user, expiration: Duration.hours(1) })));
+   *
+   * @param {Array.<BatchWriteItem>} items - The values to store, in the order in which they are written.
+   * @returns {Promise.<void>}
+   */
+  async writeMany(items) {
+    assert(Array.isArray(items), new Error("items must be an array"));
+    const writes = items.map((item) => this.#prepareWrite(item));
+
+    // if there is an read write operation block, this will awit until its unblocked.
+    await this.#pauseUntilOperationsResumed();
+
+    const values = writes.map((write) => this.#encodeWrite(write));
+    await this.#enqueue(async () => {
+      for (let i = 0; i < writes.length; i++) {
+        await this.#storeWrite(writes[i], values[i]);
+      }
+    });
+  }
+
+  /**
+   * Validates a value to be written and hashes its key, nothing is stored yet.
+   * @private
+   * @param {BatchWriteItem} item - The value to be written.
+   * @returns {{hKey: String, key: String, value: any, type: String, expiration: Duration|"never"|null, obfuscate: boolean, fields: Array.<String>, options: WriteOptions}}
+   * @throws {CacheException} - If the value cannot be stored in the cache.
+   */
+  #prepareWrite({ key, value, expiration = "never", obfuscate = false, options = {} }) {
+    /// set the type of value.
+    const typeOfValue = this.obfuscate.typeOf(value);
+
+    /// check the type of passed value
+    if (typeOfValue === "function" || typeOfValue === "undefined" || typeOfValue === "symbol") {
+      throw new CacheException(CacheException.code.NON_CACHABLE_VALUE, "Invalid value. Functions, undefined, and symbols cannot be stored in cache.", new Error(`${typeOfValue} cannot be stored as cache.`));
+    }
+    assert(!options?.staleAfter || options.staleAfter instanceof Duration, new Error("staleAfter must be a Duration instance or undefined"));
+    assert(!options?.tags || Array.isArray(options.tags), new Error("tags must be an array of strings or undefined"));
+
+    // a list of paths obfuscates only those fields of the value.
+    const fields = Array.isArray(obfuscate) ? obfuscate : [];
+    if (fields.length > 0) {
+      assert(typeOfValue === "object" || typeOfValue === "array", new Error("Field-level obfuscation is only supported for object and array values."));
+      fields.forEach((path) => parseFieldPath(path));
+    }
+
+    return { hKey: this.#createHashKey(key), key: key, value: value, type: typeOfValue, expiration: expiration, obfuscate: !Array.isArray(obfuscate) && !!obfuscate, fields: fields, options: options ?? {} };
+  }
+
+  /**
+   * Returns the value of a write as it is stored, obfuscated if required.
+   *
+   * @private
+   * @returns {any}
+   * @throws {CacheException} - If the value cannot be obfuscated.
+   */
+  #encodeWrite(write) {
+    // check if the value needs to be obfuscated.
+    if (!write.obfuscate && write.fields.length === 0) {
+      return write.value;
+    }
+    try {
+      return write.obfuscate ? this.obfuscate.encode(write.value) : this.obfuscate.encodeFields(write.value, write.fields);
+    } catch (err) {
+      throw new CacheException(CacheException.code.UNABLE_TO_OBFUSCATE, "Failed to obfuscate value.", err);
+    }
+  }
+
+  /**
+   * Stores a write, must be called within the write queue.
+   * @private
+   * @param {Object} write - The write returned by `#prepareWrite`.
+   * @param {any} value - The value as it is stored.
+   * @returns {Promise.<void>}
+   */
+  async #storeWrite(write, value) {
+    const { hKey, key, type, expiration, obfuscate, fields, options } = write;
+    // Create the checksum for the key
+    const keyCheckSum = this.#createCheckSum(key);
+
+    // Validate the checksum for the existing key. For new keys, this function will return true.
+    const isCollision = !(await this.#validateKeyCheckSum(hKey, keyCheckSum));
+    if (isCollision) {
+      // A mismatch is practically impossible with a SHA-256 key, the existing entry is overwritten since the latest write is the valid one.
+      console.warn(`[WARNING] Key collision detected for key ${hKey}. The existing cache is overwritten.`);
+      this.#count(key, "collisions");
+    }
+
+    // set the new data, the expiry is scheduled when the entry is tracked.
+    const expiresOn = expiration instanceof Duration ? Date.now() + expiration.toMilliseconds : undefined;
+    const staleOn = options?.staleAfter ? Date.now() + options.staleAfter.toMilliseconds : undefined;
+    await this.#ensureIndex();
+    const entry = { value: value, key: key, tags: options?.tags ?? [], expiresOn: expiresOn, staleOn: staleOn, isObfusacated: obfuscate, obfuscatedFields: fields, type: type, checksum: keyCheckSum };
+    await this.#store.set(hKey, entry);
+    this.#track(hKey, key, entry);
+    this.#count(key, "writes");
+    this.#emitEvent(this.events.set, { key: key, hashKey: hKey, reason: isCollision ? "collision" : "write" });
+    // evict the entries if the cache has grown past its limits.
+    await this.#evict(hKey);
+  }
+
+  /**
+   * Checks if a key is in the cache, could be used to check if a cache is expired.
+   * @param {string} key - The key to check.
+   * @returns {Promise.<boolean>} True if the key is in the cache, false otherwise.
+   */
+  async has(key) {
+    return !!(await this.#getEntry(this.#createHashKey(key)));
+  }
+
+  /**
+ * Deletes a key from the cache.
+ * 
+ * If the key does not exist in the cache, this method will do nothing.
+ * 
+ * @param {string} key - The key to delete from the cache.
+ * @returns {Promise.<boolean>} - Returns true if an element in the cache existed and has been removed, 
+ * or false if the element does not exist.
+ */
+  async delete(key) {
+    const hKey = this.#createHashKey(key);
+    // queued, so that a delete is never overtaken by a write called before it.
+    return await this.#enqueue(async () => {
+      const deleted = await this.#removeEntry(hKey);
+      if (deleted) {
+        this.#emitEvent(this.events.deleted, { key: key, hashKey: hKey, reason: "delete" });
+      }
+      return deleted;
+    });
+  }
+
+  /**
+   * Deletes several keys at once as a single unit of the write queue.
+   * @param {Array.<string>} keys - The keys to delete from the cache.
+   * @returns {Promise.<Array.<boolean>>} For every key in the same order, `true` if the entry existed and has been removed.
+   */
+  async deleteMany(keys) {
+    assert(Array.isArray(keys), new Error("keys must be an array"));
+    const hKeys = keys.map((key) => this.#createHashKey(key));
+    return await this.#enqueue(async () => {
+      const results = [];
+      for (let i = 0; i < keys.length; i++) {
+        const deleted = await this.#removeEntry(hKeys[i]);
+        if (deleted) {
+          this.#emitEvent(this.events.deleted, { key: keys[i], hashKey: hKeys[i], reason: "delete" });
+        }
+        results.push(deleted);
+      }
+      return results;
+    });
+  }
+
+  /**
+   * Removes all the entries that match the predicate, in order with the pending writes.
+   * @private
+   * @param {function(CacheEntry):boolean} predicate - Selects the entries to be removed.
+   * @param {"tag"|"prefix"} reason - The reason passed to the `deleted` event.
+   * @returns {Promise.<number>} The number of entries removed.
+   */
+  #invalidate(predicate, reason) {
+    return this.#enqueue(async () => {
+      let count = 0;
+      for (const [hKey, entry] of await this.#store.entries()) {
+        if (predicate(entry) && (await this.#removeEntry(hKey))) {
+          count++;
+          this.#count(entry.key, "invalidations");
+          this.#emitEvent(this.events.deleted, { key: entry.key, hashKey: hKey, reason: reason });
+        }
+      }
+      return count;
+    });
+  }
+
+  /**
+   * Removes all the entries written with the tag.
+   *
+   * @example
+   * await cache.write(`${destination}.dest/Users`, users, Duration.hours(1), false, { tags: [destination] });
+   * await cache.invalidateTag(destination); // removes everything cached for the destination.
+   *
+   * @param {String} tag - The tag to invalidate.
+   * @returns {Promise.<number>} The number of entries removed.
+   */
+  async invalidateTag(tag) {
+    return await this.#invalidate((entry) => !!entry.tags?.includes(tag), "tag");
+  }
+
+  /**
+   * Removes all the entries whose key starts with the prefix. Whitespaces are ignored, same as for the keys.
+   *
+   * **Note: Entries written before the original keys were stored cannot be matched and are left as is.**
+   *
+   * @example
+   * await cache.invalidatePrefix(`${destination}.dest/Users`); // removes all cached user requests of the destination.
+   *
+   * @param {String} prefix - The prefix of the keys to invalidate.
+   * @returns {Promise.<number>} The number of entries removed.
+   */
+  async invalidatePrefix(prefix) {
+    const _prefix = prefix.replace(/\s/g, "");
+    return await this.#invalidate((entry) => typeof entry.key === "string" && entry.key.replace(/\s/g, "").startsWith(_prefix), "prefix");
+  }
+  /**
+   * Returns a fresh set of usage counters.
+   * @private
+   */
+  static #emptyCounters() {
+    return { hits: 0, misses: 0, writes: 0, expirations: 0, collisions: 0, evictions: 0, staleHits: 0, refreshes: 0, refreshFailures: 0, invalidations: 0, since: new Date() };
+  }
+
+  /**
+   * Returns the usage statistics of the cache, can be used to expose a health endpoint or to tune the cache durations.
+   *
+   * **Note: Counters are kept per app instance, entries written by other instances to a shared store are only counted once read by this instance.**
+   * @returns {Promise.<CacheStats>}
+   */
+  async stats() {
+    await this.#ensureIndex();
+    const reads = this.#counters.hits + this.#counters.misses;
+    let obfuscatedEntries = 0;
+    this.#index.forEach((usage) => {
+      if (usage.isObfuscated) {
+        obfuscatedEntries++;
+      }
+    });
+    return {
+      ...this.#counters,
+      hitRatio: reads === 0 ? 0 : this.#counters.hits / reads,
+      entries: this.#index.size,
+      obfuscatedEntries: obfuscatedEntries,
+      plainEntries: this.#index.size - obfuscatedEntries,
+      size: this.#size,
+      maxEntries: this.#maxEntries,
+      maxSize: this.#maxSize,
+      evictionPolicy: this.#evictionPolicy,
+    };
+  }
+
+  /**
+   * Resets the usage counters of the cache, the entries are not affected.
+   */
+  resetStats() {
+    this.#counters = Cache.#emptyCounters();
+  }
 
   /**
-   * Constructs a new Cache object.
-   * 
-   * The constructor initializes a new Map to store the cache data and a new Obfuscator object.
-   * It also sets up event handlers for the 'key_rotated' event of the Obfuscator.
-   * 
-   * When the 'key_rotated' event is emitted, the constructor does the following:
-   * 1. Before the key is rotated, it decodes all data in the cache and copies it to a temporary Map.
-   * 2. After the key is rotated, it pauses any read operations, re-encodes all data in the temporary Map using the new key, and copies it back to the cache. Then it resumes read operations and clears the temporary Map.
-   * 
-   * ## Collisions and Data Integrity:
-  *
-  * If URL strings are very long or contain special characters, the provided hashing function might not distribute hash values well. This could lead to increased collisions (multiple keys producing * * the same hash).
-  *
-  * Collisions can compromise data integrity in your cache, as different keys might overwrite each other.
-   */
-  constructor() {
-    this.#data = new Map();
-    /**  */
-    this.obfuscate = new Obfuscator();
-    /// before call back when the key is rotated.
-    // Then, in your constructor or initialization method:
-    this.obfuscate.before(this.obfuscate.events.key_rotated, this.#handleBeforeKeyRotated);
-    this.obfuscate.on(this.obfuscate.events.key_rotated, this.#handleKeyRotated);
+   * Returns a child cache with its own key space, which shares the store, the key rotation and the limits of this cache.
+   *
+   * Calling it again with the same name returns the same namespace, `options` passed again replace its defaults.
+   * Nested namespaces are created by separating the names with `/` or by calling {@link CacheNamespace#namespace}.
+   *
+   * **Note: Namespaced keys are stored as `[name]key`, keys written directly to the cache should not start with `[`.**
+   *
+   * @example
+   * const connectivityCache = MasterCache.namespace("connectivity", { expiration: Duration.hours(24) });
+   * await connectivityCache.write("destinations", destinations); // expires after 24 hours.
+   * await connectivityCache.clear(); // entries of other namespaces and of the MasterCache are not affected.
+   *
+   * @param {String} name - Name of the namespace, must not contain whitespaces or `[`, `]`.
+   * @param {NamespaceOptions} [options] - Defaults for the entries of the namespace.
+   * @returns {CacheNamespace}
+   */
+  namespace(name, options) {
+    assert(typeof name === "string" && name.split("/").every((segment) => /^[^\s\[\]\/]+$/.test(segment)), new Error("namespace name must be a non empty string without whitespaces, '[' or ']', nested names are separated with '/'"));
+    const existing = this.#namespaces.get(name);
+    if (existing) {
+      if (options) {
+        existing.namespace.setDefaults(options);
+      }
+      return existing.namespace;
+    }
+    const counters = Cache.#emptyCounters();
+    const namespace = new CacheNamespace(this, name, counters, options);
+    this.#namespaces.set(name, { namespace: namespace, counters: counters });
+    return namespace;
   }
 
   /**
-   * Current Cache object as JSON object.
-    * @returns {{[k: number]: {value: string, expiresOn: number | undefined, isObfusacated: boolean, type: string,checksum: string}}}
+   * Lists the metadata of all the entries in the cache, from least to most recently used.
+   *
+   * Values are never returned or decoded, so this is safe to be used for inspection of obfuscated entries.
+   * @returns {Promise.<Array.<CacheKeyInfo>>}
    */
-  get table() {
-    return Object.fromEntries(this.#data.entries());
+  async keys() {
+    await this.#ensureIndex();
+    const entries = new Map(await this.#store.entries());
+    const keys = [];
+    for (const [hKey, usage] of this.#index) {
+      const entry = entries.get(hKey);
+      if (!entry || this.#isExpired(entry)) {
+        continue;
+      }
+      keys.push({
+        key: usage.key,
+        hashKey: hKey,
+        type: entry.type,
+        isObfuscated: !!entry.isObfusacated || entry.obfuscatedFields?.length > 0,
+        obfuscatedFields: entry.obfuscatedFields ?? [],
+        expiresOn: entry.expiresOn ? new Date(entry.expiresOn) : undefined,
+        staleOn: entry.staleOn ? new Date(entry.staleOn) : undefined,
+        size: usage.size,
+        hits: usage.hits,
+        tags: entry.tags ?? [],
+      });
+    }
+    return keys;
   }
 
   /**
-   * If read or write operations is paused.
+   * Derives the key to encrypt obfuscated values of a snapshot.
+   * @private
+   * @param {String} secret - The snapshot secret.
+   * @param {Buffer} salt - The salt stored with the snapshot.
+   * @returns {Buffer}
    */
-  get isPaused() {
-    return this.#isPaused;
+  static #snapshotKey(secret, salt) {
+    return crypt.scryptSync(secret, salt, 32);
   }
 
-  #handleBeforeKeyRotated = () => {
-    // decode and copy all data to temp
-    this.#temp = new Map(this.#data);
-    this.#temp.forEach((object, key) => {
-      object.value = this.obfuscate.decode(object.value);
-    });
+  /**
+   * Creates the digest of the snapshot entries, to validate the integrity of the snapshot on restore.
+   * @private
+   * @param {Array} entries - The snapshot entries.
+   * @param {String|undefined} secret - The snapshot secret.
+   * @returns {String}
+   */
+  static #snapshotDigest(entries, secret) {
+    const hash = secret ? crypt.createHmac("sha256", secret) : crypt.createHash("sha256");
+    return hash.update(JSON.stringify(entries)).digest("hex");
   }
 
-  #handleKeyRotated = () => {
-    // re encode all the cache back to
-    this.#isPaused = true;
-    this.destroy();
-    this.#temp.forEach((object, key) => {
-      object.value = this.obfuscate.encode(object.value);
+  /**
+   * Serializes all the entries of the cache, so that they can be restored after a restart using {@link Cache#restore}.
+   *
+   * Every entry is stored with its remaining TTL, type, tags and obfuscation flag. Obfuscated values are decoded and encrypted
+   * with the snapshot `secret` instead, since the obfuscation key does not survive a restart. Without a secret they are left out.
+   * Entries with obfuscated fields are encrypted as a whole the same way, and their fields are obfuscated again on restore.
+   * Expired entries and entries written before the original keys were stored are left out as well.
+   *
+   * @example
+   * // before shutdown
+   * await MasterCache.snapshot({ secret: process.env.CACHE_SNAPSHOT_SECRET, file: "temp/cache.snapshot.json" });
+   * // after restart
+   * await MasterCache.restore(null, { secret: process.env.CACHE_SNAPSHOT_SECRET, file: "temp/cache.snapshot.json" });
+   *
+   * @param {SnapshotOptions} [options={}] - Options for the snapshot.
+   * @returns {Promise.<Readable|String>} A readable stream of the snapshot, or the file path if a file is passed.
+   */
+  async snapshot(options = {}) {
+    await this.#pauseUntilOperationsResumed();
+    const createdAt = Date.now();
+    const salt = crypt.randomBytes(16);
+    const snapshotKey = options?.secret ? Cache.#snapshotKey(options.secret, salt) : undefined;
+    const entries = [];
+
+    for (const [, entry] of await this.#store.entries()) {
+      if (typeof entry.key !== "string" || this.#isExpired(entry)) {
+        continue;
+      }
+      const fields = entry.obfuscatedFields ?? [];
+      const isObfuscated = !!entry.isObfusacated || fields.length > 0;
+      if (isObfuscated && !snapshotKey) {
+        console.warn(`[WARNING] Obfuscated cache with key ${entry.key} is not part of the snapshot, since no secret is passed.`);
+        continue;
+      }
+
+      let value = entry.value;
+      if (entry.isObfusacated) {
+        value = this.obfuscate.decode(entry.value);
+      } else if (fields.length > 0) {
+        value = this.obfuscate.decodeFields(entry.value, fields);
+      }
+      value = this.obfuscate.converttostring(value).value;
+      if (isObfuscated) {
+        const iv = crypt.randomBytes(12);
+        const cipher = crypt.createCipheriv("aes-256-gcm", snapshotKey, iv);
+        const encrypted = cipher.update(value, "utf8", "hex") + cipher.final("hex");
+        value = `${iv.toString("hex")}:${encrypted}:${cipher.getAuthTag().toString("hex")}`;
+      }
+
+      entries.push({
+        key: entry.key,
+        value: value,
+        type: entry.type,
+        obfuscated: isObfuscated,
+        fields: fields,
+        tags: entry.tags ?? [],
+        ttl: entry.expiresOn ? entry.expiresOn - createdAt : null,
+        staleIn: entry.staleOn ? Math.max(entry.staleOn - createdAt, 0) : null,
+      });
+    }
+
+    const content = JSON.stringify({
+      version: 1,
+      createdAt: createdAt,
+      salt: salt.toString("hex"),
+      entries: entries,
+      digest: Cache.#snapshotDigest(entries, options?.secret),
     });
-    this.#data = new Map(this.#temp);
-    this.#isPaused = false;
-    this.#temp.clear();
+    console.info(`[INFO] Cache snapshot created with ${entries.length} entries.`);
+
+    if (options?.file) {
+      await fs.writeFile(options.file, content, "utf8");
+      return options.file;
+    }
+    return Readable.from([content]);
   }
 
   /**
-   * Creates a hash key for the cache.
+   * Restores the entries of a snapshot created by {@link Cache#snapshot}, existing entries with the same keys are overwritten.
    *
-   * Note: This algorithm is not cryptographically secure,
-   * but it's simple and good enough for many non-security related purposes,
-   * such as creating a hash key for a cache.
-   * @private
-   * @param {String} key - The key to hash.
-   * @returns {number} - The hashed key.
+   * The snapshot is validated before anything is restored. Obfuscated entries are obfuscated again with the current key,
+   * entries that expired since the snapshot was taken are skipped.
+   *
+   * @param {Readable|String|Buffer|null} snapshot - The snapshot, can be `null` if a file is passed in the options.
+   * @param {SnapshotOptions} [options={}] - Options for the snapshot, the secret must match the one used to create it.
+   * @returns {Promise.<RestoreResult>}
+   * @throws {CacheException} - If the snapshot cannot be read or fails the integrity check.
    */
-  #createHashKey(key) {
-    /**@type {number} */
-    let hash = parseInt(process.env?.CACHE_HASH_KEY_INITALIZER);
-    // remove space from keys
-    key = key.replace(/\s/g, '');
-    if (!hash) {
-      throw new Error("Cache hash key is not set.");
+  async restore(snapshot, options = {}) {
+    let parsed;
+    try {
+      let content = snapshot;
+      if (options?.file) {
+        content = await fs.readFile(options.file, "utf8");
+      } else if (snapshot instanceof Readable) {
+        const chunks = [];
+        for await (const chunk of snapshot) {
+          chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+        }
+        content = Buffer.concat(chunks).toString("utf8");
+      }
+      parsed = JSON.parse(Buffer.isBuffer(content) ? content.toString("utf8") : content);
+    } catch (err) {
+      throw new CacheException(CacheException.code.INVALID_SNAPSHOT, "Unable to read the cache snapshot.", err);
+    }
+
+    if (parsed?.version !== 1 || !Array.isArray(parsed.entries) || Cache.#snapshotDigest(parsed.entries, options?.secret) !== parsed.digest) {
+      throw new CacheException(CacheException.code.INVALID_SNAPSHOT, "Cache snapshot failed the integrity check, either it is modified or the secret does not match.", new Error("Snapshot digest mismatch."));
     }
-    for (let i = 0; i < key.length; i++) {
-      hash = (hash << 5) + hash + key.charCodeAt(i);
+
+    const elapsed = Date.now() - parsed.createdAt;
+    const snapshotKey = options?.secret ? Cache.#snapshotKey(options.secret, Buffer.from(parsed.salt, "hex")) : undefined;
+    const result = { restored: 0, skipped: 0 };
+
+    for (const item of parsed.entries) {
+      const ttl = item.ttl === null ? null : item.ttl - elapsed;
+      if (ttl !== null && ttl <= 0) {
+        result.skipped++;
+        continue;
+      }
+      try {
+        let value = item.value;
+        if (item.obfuscated) {
+          const [iv, encrypted, tag] = value.split(":");
+          // the tag length is fixed, otherwise a truncated tag would be accepted.
+          const decipher = crypt.createDecipheriv("aes-256-gcm", snapshotKey, Buffer.from(iv, "hex"), { authTagLength: 16 });
+          decipher.setAuthTag(Buffer.from(tag, "hex"));
+          value = decipher.update(encrypted, "hex", "utf8") + decipher.final("utf8");
+        }
+        const staleIn = item.staleIn === null ? null : Math.max(item.staleIn - elapsed, 0);
+        await this.write(item.key, this.obfuscate.toType(value, item.type), ttl === null ? "never" : Duration.milliseconds(ttl), item.fields?.length ? item.fields : item.obfuscated, {
+          tags: item.tags,
+          staleAfter: staleIn === null ? undefined : Duration.milliseconds(staleIn),
+        });
+        result.restored++;
+      } catch (err) {
+        console.error(`[ERROR] Unable to restore cache with key ${item.key} from snapshot.`, err);
+        result.skipped++;
+      }
     }
-    return hash;
+    console.info(`[INFO] Cache snapshot restored, ${result.restored} entries restored and ${result.skipped} skipped.`);
+    return result;
   }
 
+  /**
+   * Destroys the cache.
+   *
+   * This method pauses the cache, clears all data, and then unpauses the cache.
+   * While the cache is paused, no operations can be performed on it.
+   * Writes called before it are completed first.
+   *
+   * All the pending expiry timers are cancelled and the cache can be used afterwards, expiry is tracked again for the entries written afterwards.
+   * Use {@link Cache#dispose} to cancel the key rotation as well.
+   * @returns {Promise.<void>}
+   */
+  async destroy() {
+    await this.#enqueue(async () => {
+      this.#isPaused = true;
+      let entries = 0;
+      try {
+        await this.#ensureIndex();
+        entries = this.#index.size;
+        await this.#store.clear();
+        this.#expiry.clear();
+        this.#index.clear();
+        this.#loaders.clear();
+        this.#size = 0;
+      } finally {
+        this.#isPaused = false;
+      }
+      this.#emitEvent(this.events.cleared, { reason: "destroy", entries: entries });
+    });
+  }
 
   /**
-   * Function to start the cron or schedule the cache cleanup.
+   * Destroys the cache and disposes its {@link Obfuscator}, so that no timers or key provider listeners are left behind (eg: at the end of a test or on shutdown).
    *
-   * @param {string} key - The key to associate with the value.
-   * @param {Duration | null} expiration - The expiration cron string for the cache. If null, the cache will have the same lifespan as the application.
-   * @throws {CacheException} - If the expiration is not a valid cron string.
+   * The cache keeps working afterwards, but its key is no longer rotated.
+   * @returns {Promise.<void>}
    */
-  #runCacheCleanup(key, expiration) {
-    /// check if expiration is a string or number
-    if (expiration) {
-      const _timer = setUnboundedTimeout(() => {
-        // delete cache.
-        this.#data.delete(key);
-        // clear the timer
-        clearTimeout(_timer);
-        console.info(`[INFO] Cache with key ${key} has been expired as per set duration ${expiration.toMilliseconds}.`);
-      }, expiration.toMilliseconds);
-    }
+  async dispose() {
+    await this.destroy();
+    this.obfuscate.dispose();
+  }
+}
+
+/**
+ * Checks if a key belongs to a namespace or to one of its child namespaces.
+ * @param {String|undefined} key - The original key as stored in the cache.
+ * @param {String} name - The name of the namespace.
+ * @returns {boolean}
+ */
+function isInNamespace(key, name) {
+  return typeof key === "string" && (key.startsWith(`[${name}]`) || key.startsWith(`[${name}/`));
+}
+
+/**
+ * Removes the prefix of a namespace from a key, keys of child namespaces are returned as is.
+ * @param {String} key - The original key as stored in the cache.
+ * @param {String} name - The name of the namespace.
+ * @returns {String}
+ */
+function toNamespaceKey(key, name) {
+  return key.startsWith(`[${name}]`) ? key.slice(name.length + 2) : key;
+}
+
+/**
+ * A child cache with its own key space, created using {@link Cache#namespace}.
+ *
+ * The entries are stored in the parent cache with the keys and tags prefixed by `[name]`, so the store, the obfuscation key and its rotation,
+ * the expiry timer and the `maxEntries`/`maxSize` limits are shared with the parent and with all the other namespaces.
+ * Only the keys, tags, default expiration and usage counters are kept per namespace.
+ *
+ * The statistics, events and {@link CacheNamespace#clear} of a namespace include the entries of its child namespaces.
+ * The events are the same as of the {@link Cache}, with the `key` passed without the prefix of the namespace.
+ *
+ * @example
+ * const handlerCache = MasterCache.namespace("handlers", { expiration: Duration.minutes(30) });
+ * await handlerCache.write("config", config);
+ * await MasterCache.namespace("connectivity").read("config"); // null, the key spaces are isolated.
+ */
+class CacheNamespace extends EventEmitter {
+  /**
+   * @type {Cache}
+   */
+  #cache;
+
+  /**
+   * Usage counters of the namespace, updated by the parent cache.
+   */
+  #counters;
+
+  /**
+   * @type {Duration|"never"}
+   */
+  #expiration;
+
+  /**
+   * @param {Cache} cache - The parent cache.
+   * @param {String} name - The name of the namespace, nested names separated with `/`.
+   * @param {Object} counters - The usage counters of the namespace.
+   * @param {NamespaceOptions} [options] - Defaults for the entries of the namespace.
+   */
+  constructor(cache, name, counters, options) {
+    super();
+    assert(cache instanceof Cache, new Error("cache must be a Cache instance"));
+    this.#cache = cache;
+    /**
+     * The name of the namespace, unique within the parent cache.
+     * @type {String}
+     */
+    this.name = name;
+    this.#counters = counters;
+    this.setDefaults(options ?? {});
   }
 
   /**
-   * Creates a checksum for the key
-   * @param {string} key - The key for which checksum must be created.
-   * @return {string} The checksum hex string
+   * The cache in which the entries of the namespace are stored.
+   * @returns {Cache}
    */
-  #createCheckSum(key) {
-    const hash = crypt.createHash('sha256');
-    hash.update(key);
-    return hash.digest('hex');
+  get cache() {
+    return this.#cache;
   }
 
   /**
- * verifies a the checksum when there for similar keys, to 
- * @param {number} key - the key for which the checksum has to be validated, this is the hashed key.
- * @param {string} current_checksum - The current checksum.
- * @return {boolean} `true` if checksum is matching.
- * @private
- */
-  #validateKeyCheckSum(key, current_checksum) {
-    // for non-exsiting key return true.
-    if (!this.#data.has(key)) {
-      return true;
-    }
+   * Returns the events that this class emits, same as {@link Cache#events}.
+   */
+  get events() {
+    return this.#cache.events;
+  }
 
-    return this.#data.get(key).checksum === current_checksum;
+  /**
+   * The expiration used when no expiration is passed to write an entry.
+   * @returns {Duration|"never"}
+   */
+  get defaultExpiration() {
+    return this.#expiration;
+  }
+
+  /**
+   * Replaces the defaults for the entries of the namespace, entries that are already written are not affected.
+   * @param {NamespaceOptions} options - Defaults for the entries of the namespace.
+   */
+  setDefaults(options) {
+    assert(!options?.expiration || options.expiration === "never" || options.expiration instanceof Duration, new Error("expiration must be a Duration instance or 'never'"));
+    this.#expiration = options?.expiration ?? "never";
   }
 
   /**
-   * Pauses the execution of the current function if the cache is in a paused state.
-   * It checks the paused state every `#pauseCheckInterval` milliseconds.
-   * Execution resumes once the cache is no longer in a paused state.
-   * 
    * @private
-   * @async
    */
-  async #pauseUntilOperationsResumed() {
-    while (this.#isPaused) {
-      await new Promise(resolve => setTimeout(resolve, this.#pauseCheckInterval)); // wait for 50ms before checking again
-    }
-    return;
+  #key(key) {
+    return `[${this.name}]${key}`;
   }
 
   /**
-   * Retrieves a value from the cache.
+   * @private
+   */
+  #tags(tags) {
+    return tags?.map((tag) => this.#key(tag));
+  }
+
+  /**
+   * Retrieves a value from the namespace, see {@link Cache#read}.
    * @param {string} key - The key associated with the value to retrieve.
-   * @returns {string|number|boolean|object|array|null} - The value associated with the key, or null if the key is not in the cache.
+   * @returns {Promise.<any>} The value associated with the key, or null if the key is not in the namespace.
    */
   async read(key) {
-    // if there is an read write operation block, this will awit until its unblocked.
-    await this.#pauseUntilOperationsResumed();
+    return await this.#cache.read(this.#key(key));
+  }
 
-    const cacheItem = this.#data.get(this.#createHashKey(key));
-    if (!cacheItem) {
-      return null;
-    }
+  /**
+   * Stores a value in the namespace, see {@link Cache#write}.
+   * @param {string} key - The key to associate with the value.
+   * @param {any} value - The value to store.
+   * @param {Duration|"never"} [expiration] - The duration for which the value is valid, the {@link CacheNamespace#defaultExpiration} if not passed.
+   * @param {boolean|Array.<string>} [obfuscate=false] - Obfuscate the value before storing it in the cache, or only the fields at the JSON paths.
+   * @param {WriteOptions} [options={}] - Additional options for the entry.
+   * @returns {Promise.<void>}
+   */
+  async write(key, value, expiration = this.#expiration, obfuscate = false, options = {}) {
+    await this.#cache.write(this.#key(key), value, expiration, obfuscate, { ...options, tags: this.#tags(options?.tags) });
+  }
 
-    if (cacheItem.isObfusacated) {
-      return this.obfuscate.decode(cacheItem.value);
-    }
-    return cacheItem.value;
+  /**
+   * Retrieves the values of several keys of the namespace at once, see {@link Cache#readMany}.
+   * @param {Array.<string>} keys - The keys associated with the values to retrieve.
+   * @returns {Promise.<Array.<BatchReadResult>>} The results in the order of the keys.
+   */
+  async readMany(keys) {
+    assert(Array.isArray(keys), new Error("keys must be an array"));
+    const results = await this.#cache.readMany(keys.map((key) => this.#key(key)));
+    return results.map((result, i) => ({ ...result, key: keys[i] }));
   }
 
   /**
-   * Stores a value in the cache.
+   * Stores several values in the namespace at once, see {@link Cache#writeMany}.
    *
-   * **Note: Exisiting keys data will be updated/overwritten.**
-   * 
-   * 
-   * @param {string} key - The key to associate with the value.
-   * @param {any} value - The value to store.
-   * @param {Duration|null} [expiration="never"] - The duration for which the cache is valid. If a Duration object is provided, the cache will expire after that duration. If null, the cache will not expire and will have the same lifespan as the application.
-   * @param {boolean} [obfuscate=false] - Obfuscate the value before storing it in the cache, `false` by default.
+   * The {@link CacheNamespace#defaultExpiration} is used for the items without an expiration.
+   * @param {Array.<BatchWriteItem>} items - The values to store.
    * @returns {Promise.<void>}
    */
-  async write(key, value, expiration = "never", obfuscate = false) {
-    let _value = value;
-    /// set the type of value.
-    const typeOfValue = Array.isArray(value) ? "array" : typeof value;
-    // create hashed key.
-    const hKey = this.#createHashKey(key);
+  async writeMany(items) {
+    assert(Array.isArray(items), new Error("items must be an array"));
+    await this.#cache.writeMany(
+      items.map((item) => ({ ...item, key: this.#key(item.key), expiration: item.expiration === undefined ? this.#expiration : item.expiration, options: { ...item.options, tags: this.#tags(item.options?.tags) } }))
+    );
+  }
 
-    /// check the type of passed value
-    if (typeOfValue === "function" || typeOfValue === "undefined" || typeOfValue === "symbol") {
-      throw new CacheException(CacheException.code.NON_CACHABLE_VALUE, "Invalid value. Functions, undefined, and symbols cannot be stored in cache.", new Error(`${typeOfValue} cannot be stored as cache.`));
-    }
+  /**
+   * Deletes several keys from the namespace at once, see {@link Cache#deleteMany}.
+   * @param {Array.<string>} keys - The keys to delete.
+   * @returns {Promise.<Array.<boolean>>} For every key in the same order, `true` if the entry existed and has been removed.
+   */
+  async deleteMany(keys) {
+    assert(Array.isArray(keys), new Error("keys must be an array"));
+    return await this.#cache.deleteMany(keys.map((key) => this.#key(key)));
+  }
 
-    // if there is an read write operation block, this will awit until its unblocked.
-    await this.#pauseUntilOperationsResumed();
+  /**
+   * Checks if a key is in the namespace.
+   * @param {string} key - The key to check.
+   * @returns {Promise.<boolean>}
+   */
+  async has(key) {
+    return await this.#cache.has(this.#key(key));
+  }
 
-    // check if the value needs to be obfuscated.
-    if (obfuscate) {
-      try {
-        _value = this.obfuscate.encode(_value);
-      } catch (err) {
-        throw new CacheException(CacheException.code.UNABLE_TO_OBFUSCATE, "Failed to obfuscate value.", err);
-      }
-    }
+  /**
+   * Deletes a key from the namespace.
+   * @param {string} key - The key to delete.
+   * @returns {Promise.<boolean>} `true` if the entry existed and has been removed.
+   */
+  async delete(key) {
+    return await this.#cache.delete(this.#key(key));
+  }
 
+  /**
+   * Retrieves a value from the namespace, or loads and stores it, see {@link Cache#getOrCompute}.
+   *
+   * The {@link CacheNamespace#defaultExpiration} is used if no expiration is passed.
+   * @param {string} key - The key associated with the value.
+   * @param {cacheLoader} loader - Function that loads the value, called with the key of the namespace.
+   * @param {ComputeOptions} [options={}] - Options for storing the loaded value.
+   * @returns {Promise.<any>} The cached or loaded value.
+   */
+  async getOrCompute(key, loader, options = {}) {
+    assert(typeof loader === "function", new Error("loader must be a function"));
+    return await this.#cache.getOrCompute(this.#key(key), () => loader(key), this.#computeOptions(options));
+  }
 
-   // add to write queue.
-    this.#writeQueue.enqueue(() => {
-      // Create the checksum for the key
-      const keyCheckSum = this.#createCheckSum(key);
-
-      // Validate the checksum for the existing key. For new keys, this function will return true.
-      if (this.#validateKeyCheckSum(hKey, keyCheckSum)) {
-        // If the checksum is valid, set the new data and schedule cache cleanup if necessary
-        this.#data.set(hKey, { value: _value, expiresOn: expiration, isObfusacated: obfuscate, type: typeOfValue, checksum: keyCheckSum });
-        // check if cache has expiration task.
-        if (expiration !== "never") {
-          this.#runCacheCleanup(hKey, expiration);
-        }
-      } else {
-        // If the checksum validation fails, warn about a key collision, delete the existing cache, and do not store the new cache
-        console.warn(`[WARNING] Key collision detected. The existing cache will be deleted and the new cache will not be stored.`);
-        this.delete(key);
-      }
-    });
+  /**
+   * Registers a loader to refresh the stale values of a key, see {@link Cache#registerLoader}.
+   * @param {string} key - The key for which the loader is registered.
+   * @param {cacheLoader} loader - Function that loads a fresh value, called with the key of the namespace.
+   * @param {ComputeOptions} [options={}] - Options for storing the refreshed value.
+   */
+  registerLoader(key, loader, options = {}) {
+    assert(typeof loader === "function", new Error("loader must be a function"));
+    this.#cache.registerLoader(this.#key(key), () => loader(key), this.#computeOptions(options));
   }
 
   /**
-   * Checks if a key is in the cache, could be used to check if a cache is expired.
-   * @param {string} key - The key to check.
-   * @returns {boolean} True if the key is in the cache, false otherwise.
+   * Removes the loader registered for a key.
+   * @param {string} key - The key for which the loader was registered.
+   * @returns {boolean} `true` if a loader was registered.
    */
-  has(key) {
-    return this.#data.has(this.#createHashKey(key));
+  unregisterLoader(key) {
+    return this.#cache.unregisterLoader(this.#key(key));
   }
 
   /**
- * Deletes a key from the cache.
- * 
- * If the key does not exist in the cache, this method will do nothing.
- * 
- * @param {string} key - The key to delete from the cache.
- * @returns {boolean} - Returns true if an element in the cache existed and has been removed, 
- * or false if the element does not exist.
- */
-  delete(key) {
-    return this.#data.delete(this.#createHashKey(key));
+   * @private
+   * @param {ComputeOptions} options
+   * @returns {ComputeOptions}
+   */
+  #computeOptions(options) {
+    return { ...options, expiration: options?.expiration ?? this.#expiration, tags: this.#tags(options?.tags) };
   }
+
   /**
-   * Destroys the cache.
-   *
-   * This method pauses the cache, clears all data, and then unpauses the cache.
-   * While the cache is paused, no operations can be performed on it.
+   * Removes all the entries of the namespace written with the tag.
+   * @param {String} tag - The tag to invalidate.
+   * @returns {Promise.<number>} The number of entries removed.
    */
-  destroy() {
-    this.#isPaused = true;
-    this.#data.clear();
-    this.#isPaused = false;
+  async invalidateTag(tag) {
+    return await this.#cache.invalidateTag(this.#key(tag));
+  }
+
+  /**
+   * Removes all the entries of the namespace whose key starts with the prefix.
+   * @param {String} prefix - The prefix of the keys to invalidate.
+   * @returns {Promise.<number>} The number of entries removed.
+   */
+  async invalidatePrefix(prefix) {
+    return await this.#cache.invalidatePrefix(this.#key(prefix));
+  }
+
+  /**
+   * Removes all the entries of the namespace and of its child namespaces, other entries of the cache are not affected.
+   * @returns {Promise.<number>} The number of entries removed.
+   */
+  async clear() {
+    const entries = (await this.#cache.invalidatePrefix(`[${this.name}]`)) + (await this.#cache.invalidatePrefix(`[${this.name}/`));
+    try {
+      this.emit(this.events.cleared, { reason: "clear", entries: entries });
+    } catch (err) {
+      console.error(`[CACHE][ERROR] Error in listener for event "${this.events.cleared}":`, err);
+    }
+    return entries;
+  }
+
+  /**
+   * Lists the metadata of the entries of the namespace, see {@link Cache#keys}.
+   * @returns {Promise.<Array.<CacheKeyInfo>>}
+   */
+  async keys() {
+    return (await this.#cache.keys())
+      .filter((info) => isInNamespace(info.key, this.name))
+      .map((info) => ({ ...info, key: toNamespaceKey(info.key, this.name), tags: info.tags.map((tag) => toNamespaceKey(tag, this.name)) }));
   }
-}
 
+  /**
+   * Returns the usage statistics of the namespace, the limits are the ones of the parent cache.
+   * @returns {Promise.<CacheStats>}
+   */
+  async stats() {
+    const { maxEntries, maxSize, evictionPolicy } = await this.#cache.stats();
+    const keys = await this.keys();
+    const reads = this.#counters.hits + this.#counters.misses;
+    const obfuscatedEntries = keys.filter((info) => info.isObfuscated).length;
+    return {
+      ...this.#counters,
+      hitRatio: reads === 0 ? 0 : this.#counters.hits / reads,
+      entries: keys.length,
+      obfuscatedEntries: obfuscatedEntries,
+      plainEntries: keys.length - obfuscatedEntries,
+      size: keys.reduce((size, info) => size + info.size, 0),
+      maxEntries: maxEntries,
+      maxSize: maxSize,
+      evictionPolicy: evictionPolicy,
+    };
+  }
+
+  /**
+   * Resets the usage counters of the namespace, the counters of the parent cache are not affected.
+   */
+  resetStats() {
+    for (const counter of Object.keys(this.#counters)) {
+      this.#counters[counter] = 0;
+    }
+    this.#counters.since = new Date();
+  }
+
+  /**
+   * Returns a child namespace of this namespace, see {@link Cache#namespace}.
+   * @param {String} name - Name of the child namespace.
+   * @param {NamespaceOptions} [options] - Defaults for the entries of the child namespace.
+   * @returns {CacheNamespace}
+   */
+  namespace(name, options) {
+    return this.#cache.namespace(`${this.name}/${name}`, options);
+  }
+}
 
 /**
  * A cache instance.
@@ -645,9 +3062,13 @@ const _kMasterCacheInstance = new Cache();
  *
  * @example
  * // Utilizing the primary cache
- * MasterCache.set('key', 'value', 60000); // Sets 'key' to 'value' with a TTL of 60000 milliseconds
- * const value = MasterCache.get('key'); // Retrieves the value of 'key', which is 'value'
+ * await MasterCache.write('key', 'value', Duration.minutes(1)); // Sets 'key' to 'value' with a TTL of 1 minute
+ * const value = await MasterCache.read('key'); // Retrieves the value of 'key', which is 'value'
+ *
+ * // Modules that need their own key space use a namespace instead of a new Cache, so that no additional key rotation is started.
+ * const handlerCache = MasterCache.namespace('handlers');
  */
-const MasterCache = Object.freeze(_kMasterCacheInstance);
+// sealed instead of frozen, since the event emitter needs to update its listener count when listeners are added.
+const MasterCache = Object.seal(_kMasterCacheInstance);
 
-module.exports = { Cache, MasterCache, CacheException };
+module.exports = { Cache, CacheNamespace, MasterCache, CacheException, EVICTION_POLICY };
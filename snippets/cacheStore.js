@@ -0,0 +1,402 @@
+const path = require("node:path");
+const fs = require("node:fs/promises");
+const cds = require("@sap/cds");
+
+const { temp_dir } = require("./constants");
+
+/**
+ * A single cache entry as it is handed to and returned from a {@link CacheStore}.
+ * @typedef {Object} CacheEntry
+ * @property {any} value - The stored value, an encoded string when `isObfusacated` is `true`.
+ * @property {String|undefined} key - The original key, used to invalidate entries by prefix.
+ * @property {Array.<String>|undefined} tags - Tags attached to the entry, used to invalidate entries by tag.
+ * @property {number|undefined} expiresOn - Epoch milliseconds after which the entry is expired, `undefined` if it never expires.
+ * @property {number|undefined} staleOn - Epoch milliseconds after which the entry is stale and should be refreshed, `undefined` if it never becomes stale.
+ * @property {boolean} isObfusacated - If the value is obfuscated.
+ * @property {Array.<String>|undefined} obfuscatedFields - The JSON paths of the obfuscated fields when only some fields of the value are obfuscated,
+ * the value itself is then stored in clear with those fields encoded.
+ * @property {String} type - The type of the original value.
+ * @property {String} checksum - The checksum of the original key.
+ */
+
+/**
+ * Converts an entry into a JSON safe object, so that it can be persisted by the stores that do not keep values in memory.
+ * @param {CacheEntry} entry - The entry to serialize.
+ * @returns {CacheEntry} A JSON safe copy of the entry.
+ */
+function serializeEntry(entry) {
+    const _ = { ...entry };
+    if (!_.isObfusacated) {
+        switch (_.type) {
+            // bigint values are not supported by JSON.stringify.
+            case "bigint":
+                _.value = _.value.toString();
+                break;
+            case "buffer":
+                _.value = _.value.toString("base64");
+                break;
+            case "date":
+                // invalid dates have no ISO string.
+                _.value = _.value.toJSON() ?? "Invalid Date";
+                break;
+            case "map":
+            case "set":
+                _.value = [..._.value];
+                break;
+        }
+    }
+    return _;
+}
+
+/**
+ * Converts a persisted entry back to a {@link CacheEntry}.
+ * @param {CacheEntry} entry - The persisted entry.
+ * @returns {CacheEntry} The entry with its value restored to the original type.
+ */
+function deserializeEntry(entry) {
+    const _ = { ...entry };
+    if (!_.isObfusacated) {
+        switch (_.type) {
+            case "bigint":
+                _.value = BigInt(_.value);
+                break;
+            case "buffer":
+                _.value = Buffer.from(_.value, "base64");
+                break;
+            case "date":
+                _.value = new Date(_.value);
+                break;
+            case "map":
+                _.value = new Map(_.value);
+                break;
+            case "set":
+                _.value = new Set(_.value);
+                break;
+        }
+    }
+    return _;
+}
+
+/**
+ * Abstract class representing a storage backend for the {@link Cache}.
+ *
+ * A store only persists entries, everything else (expiry, obfuscation, checksum validation) is handled by the cache,
+ * so that the cache behaves the same irrespective of where its data lives.
+ *
+ * All methods may return a value or a promise, the cache always awaits them.
+ */
+class CacheStore {
+    constructor() {
+        // Prevent direct instantiation of the CacheStore class
+        if (new.target === CacheStore) {
+            throw new TypeError("Cannot construct CacheStore instances directly");
+        }
+    }
+
+    /**
+     * Reads an entry from the store.
+     * @param {String|number} key - The hashed key.
+     * @returns {Promise.<CacheEntry|undefined>}
+     */
+    get(key) {
+        throw new Error("Method 'get()' must be implemented.");
+    }
+
+    /**
+     * Writes an entry to the store, existing entries are overwritten.
+     * @param {String|number} key - The hashed key.
+     * @param {CacheEntry} entry - The entry to store.
+     * @returns {Promise.<void>}
+     */
+    set(key, entry) {
+        throw new Error("Method 'set()' must be implemented.");
+    }
+
+    /**
+     * Checks if an entry exists in the store.
+     * @param {String|number} key - The hashed key.
+     * @returns {Promise.<boolean>}
+     */
+    has(key) {
+        throw new Error("Method 'has()' must be implemented.");
+    }
+
+    /**
+     * Deletes an entry from the store.
+     * @param {String|number} key - The hashed key.
+     * @returns {Promise.<boolean>} `true` if an entry existed and has been removed.
+     */
+    delete(key) {
+        throw new Error("Method 'delete()' must be implemented.");
+    }
+
+    /**
+     * Removes all entries from the store.
+     * @returns {Promise.<void>}
+     */
+    clear() {
+        throw new Error("Method 'clear()' must be implemented.");
+    }
+
+    /**
+     * Returns all entries in the store.
+     * @returns {Promise.<Array.<[String|number, CacheEntry]>>}
+     */
+    entries() {
+        throw new Error("Method 'entries()' must be implemented.");
+    }
+}
+
+/**
+ * The default store, keeps all the entries in a Map for the lifespan of the application.
+ */
+class MemoryCacheStore extends CacheStore {
+    /**
+     * @type {Map<String|number, CacheEntry>}
+     */
+    #data = new Map();
+
+    get(key) {
+        return this.#data.get(key);
+    }
+
+    set(key, entry) {
+        this.#data.set(key, entry);
+    }
+
+    has(key) {
+        return this.#data.has(key);
+    }
+
+    delete(key) {
+        return this.#data.delete(key);
+    }
+
+    clear() {
+        this.#data.clear();
+    }
+
+    entries() {
+        return [...this.#data.entries()];
+    }
+}
+
+/**
+ * A store that persists all the entries into a JSON file, so that the cache survives a restart of the application.
+ *
+ * Entries are kept in memory as well and the file is rewritten after every change, the writes are chained so that
+ * the file always contains the latest state.
+ *
+ * **Note: Meant for local development and single instance apps, the file is not shared between app instances on Cloud Foundry.**
+ *
+ * @example
+ * const cache = new Cache({ store: new FileCacheStore("temp/destinations.cache.json") });
+ */
+class FileCacheStore extends CacheStore {
+    /**
+     * @type {Map<String|number, CacheEntry>|undefined}
+     */
+    #data;
+    /**
+     * The last scheduled flush to the file.
+     * @type {Promise.<void>}
+     */
+    #flushing = Promise.resolve();
+
+    /**
+     * @param {String} [filePath="temp/cache.json"] - Location of the file, created if it does not exist.
+     */
+    constructor(filePath = temp_dir + "cache.json") {
+        super();
+        /**
+         * Location of the cache file.
+         * @type {String}
+         */
+        this.filePath = filePath;
+    }
+
+    /**
+     * Loads the file into memory on first access.
+     * @private
+     * @returns {Promise.<Map<String|number, CacheEntry>>}
+     */
+    async #load() {
+        if (!this.#data) {
+            try {
+                const content = await fs.readFile(this.filePath, "utf8");
+                this.#data = new Map(JSON.parse(content).map(([key, entry]) => [key, deserializeEntry(entry)]));
+            } catch (err) {
+                if (err.code !== "ENOENT") {
+                    console.warn(`[CACHE_STORE][WARN] Unable to read cache file ${this.filePath}, starting with an empty cache.`, err);
+                }
+                this.#data = new Map();
+            }
+        }
+        return this.#data;
+    }
+
+    /**
+     * Writes the current state to the file.
+     * @private
+     * @returns {Promise.<void>}
+     */
+    #flush() {
+        const content = JSON.stringify([...this.#data.entries()].map(([key, entry]) => [key, serializeEntry(entry)]));
+        this.#flushing = this.#flushing
+            .then(async () => {
+                await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.writeFile(this.filePath, content, "utf8");
+            })
+            .catch((err) => {
+                console.error(`[CACHE_STORE][ERROR] Unable to write cache file ${this.filePath}.`, err);
+            });
+        return this.#flushing;
+    }
+
+    async get(key) {
+        return (await this.#load()).get(key);
+    }
+
+    async set(key, entry) {
+        (await this.#load()).set(key, entry);
+        await this.#flush();
+    }
+
+    async has(key) {
+        return (await this.#load()).has(key);
+    }
+
+    async delete(key) {
+        const deleted = (await this.#load()).delete(key);
+        if (deleted) {
+            await this.#flush();
+        }
+        return deleted;
+    }
+
+    async clear() {
+        (await this.#load()).clear();
+        await this.#flush();
+    }
+
+    async entries() {
+        return [...(await this.#load()).entries()];
+    }
+}
+
+/**
+ * A store backed by a CDS entity, using the same `db` connection as the rest of the application,
+ * so that the cache is shared between all app instances and survives restarts.
+ *
+ * The entity must have the following elements:
+ * ```
+ * entity CACHE_ENTRIES {
+ *   key key_hash    : String(128);
+ *       value       : LargeString;
+ *       original_key: String(5000);
+ *       tags        : LargeString;
+ *       expiresOn   : Int64;
+ *       staleOn     : Int64;
+ *       obfuscated  : Boolean;
+ *       obfuscated_fields: LargeString;
+ *       type        : String(20);
+ *       checksum    : String(64);
+ * }
+ * ```
+ *
+ * @example
+ * const cache = new Cache({ store: new CdsCacheStore() });
+ */
+class CdsCacheStore extends CacheStore {
+    #db;
+
+    /**
+     * @param {String} [entity="CACHE_ENTRIES"] - The entity name in which the entries are stored.
+     * @param {String} [namespace="db.journal_entry"] - The database namespace of the entity.
+     */
+    constructor(entity = "CACHE_ENTRIES", namespace = "db.journal_entry") {
+        super();
+        this.entity = entity;
+        this.namespace = namespace;
+    }
+
+    /**
+     * Connects to the primary database and returns the cache entity.
+     * @private
+     */
+    async #connect() {
+        if (!this.#db) {
+            this.#db = await cds.connect.to("db");
+        }
+        return this.#db.entities(this.namespace)[this.entity];
+    }
+
+    /**
+     * Converts a database row to a cache entry.
+     * @private
+     * @returns {CacheEntry}
+     */
+    #toEntry(row) {
+        return deserializeEntry({
+            value: JSON.parse(row.value),
+            key: row.original_key ?? undefined,
+            tags: row.tags ? JSON.parse(row.tags) : [],
+            expiresOn: row.expiresOn ?? undefined,
+            staleOn: row.staleOn ?? undefined,
+            isObfusacated: row.obfuscated,
+            obfuscatedFields: row.obfuscated_fields ? JSON.parse(row.obfuscated_fields) : [],
+            type: row.type,
+            checksum: row.checksum,
+        });
+    }
+
+    async get(key) {
+        const entity = await this.#connect();
+        const row = await cds.run(SELECT.one.from(entity).where({ key_hash: String(key) }));
+        return row ? this.#toEntry(row) : undefined;
+    }
+
+    async set(key, entry) {
+        const entity = await this.#connect();
+        const _ = serializeEntry(entry);
+        await cds.run(
+            UPSERT.into(entity).entries({
+                key_hash: String(key),
+                value: JSON.stringify(_.value),
+                original_key: _.key ?? null,
+                tags: JSON.stringify(_.tags ?? []),
+                expiresOn: _.expiresOn ?? null,
+                staleOn: _.staleOn ?? null,
+                obfuscated: _.isObfusacated,
+                obfuscated_fields: JSON.stringify(_.obfuscatedFields ?? []),
+                type: _.type,
+                checksum: _.checksum,
+            })
+        );
+    }
+
+    async has(key) {
+        const entity = await this.#connect();
+        const row = await cds.run(SELECT.one.from(entity).columns("key_hash").where({ key_hash: String(key) }));
+        return !!row;
+    }
+
+    async delete(key) {
+        const entity = await this.#connect();
+        const count = await cds.run(DELETE.from(entity).where({ key_hash: String(key) }));
+        return count > 0;
+    }
+
+    async clear() {
+        const entity = await this.#connect();
+        await cds.run(DELETE.from(entity));
+    }
+
+    async entries() {
+        const entity = await this.#connect();
+        const rows = await cds.run(SELECT.from(entity));
+        return rows.map((row) => [row.key_hash, this.#toEntry(row)]);
+    }
+}
+
+module.exports = { CacheStore, MemoryCacheStore, FileCacheStore, CdsCacheStore };
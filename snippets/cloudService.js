@@ -1,4 +1,5 @@
 "use strict";
+const crypto = require("node:crypto");
 const querystring = require("node:querystring");
 const { URL } = require("node:url");
 
@@ -10,6 +11,7 @@ const { OpenApiRequestBuilder } = require("@sap-cloud-sdk/openapi");
 const { Authentication } = require("./common_auth");
 const { HTTPSRequest, PROXYTYPE, HTTPRequest, objectIsEmpty, PROTOCOL } = require("./common");
 const { timeOut } = require("./constants");
+const { Duration } = require("./duration");
 const { ApplicationException } = require("../util/appError");
 
 /**
@@ -34,7 +36,8 @@ const { ApplicationException } = require("../util/appError");
  * @typedef CACHEOPTIONS
  * @prop {Duration|'never'} [duration='never'] - Time duration till when the cache should be alive.
  * @prop {boolean} [obfuscate=false] - Obfuscate the cache data and then store.
- * @prop {string|undefined} identifier - A unique identifier appended to the key to differentiate between requests with the same URL but different payloads, ensuring unique caching for each request-response pair.
+ * @prop {string|undefined} identifier - A unique identifier appended to the key to differentiate between requests with the same URL, method and payload, eg: requests with different headers.
+ * @prop {Array.<string>|undefined} tags - Additional tags for the cached response, the destination name is always added as a tag.
  */
 
 /**
@@ -235,7 +238,7 @@ class SAPService {
    * @throws {Error} - Throws an error if the read operation fails.
    */
   async getCachedData(url) {
-    const isCacheAvailable = this.sapServiceCache.cache.has(url);
+    const isCacheAvailable = await this.sapServiceCache.cache.has(url);
     if (!isCacheAvailable) {
       return undefined;
     } else {
@@ -277,6 +280,9 @@ class ConnectivityService extends SAPService {
   /**
   * Executes an HTTP request using the SAP Cloud SDK.
   *
+  * When `cache` is `true`, concurrent requests for the same cache key are coalesced into a single call to the destination
+  * and only successful responses are cached. The cache key is made of the path, the method and a digest of the payload.
+  *
   * @param {string} [path] - The path to which data has to be posted. The path should start with '/'.
   * @param {keyof HTTPMETHODS} method - The HTTP method for the request.
   * @param {Object} data - The data that needs to be sent as payload in JSON format.
@@ -288,85 +294,106 @@ class ConnectivityService extends SAPService {
   async request(path, method, data, options = null, cache = false) {
     try {
       console.info(`[INFO] Doing a ${method} request: ` + this.destination_name + ".dest" + path);
-      const _ = {};
-      const _headers = options?.headers ?? {};
       const identifier = !options?.cacheOptions?.identifier ? "" : `:${options?.cacheOptions?.identifier}`;
-      const cacheKey = `${this.destination_name}.dest${path}${identifier}`.replace(/\s+/g, "");
-      // check if data is already cached.
-      if (cache) {
-        const cachedData = await this.getCachedData(cacheKey);
-        if (cachedData) {
-          console.info(`[INFO] Reading from Cached results for ${method}-${this.destination_name}.dest${path}`);
-          return cachedData;
-        }
+      const payload = data === undefined || data === null ? "" : `:${crypto.createHash("sha256").update(JSON.stringify(data)).digest("hex")}`;
+      const cacheKey = `${this.destination_name}.dest${path}:${method}${payload}${identifier}`.replace(/\s+/g, "");
+
+      if (!cache) {
+        return await this.#executeRequest(path, method, data, options);
       }
 
-      // destination config to be passed to the http client.
-      const destinationConfig = {
-        destinationName: this.destination_name,
-      };
+      // check if there is cache options available
+      const expiration = options?.cacheOptions?.duration ?? this.defaultCacheOptions.duration;
+      const obfuscate = options?.cacheOptions?.obfuscate ?? this.defaultCacheOptions.obfuscate;
+      // reads from cache, or requests and caches the response. concurrent requests for the same key share one call.
+      return await this.sapServiceCache.cache.getOrCompute(cacheKey, () => this.#executeRequest(path, method, data, options), {
+        expiration: expiration,
+        obfuscate: obfuscate,
+        // error responses are not cached.
+        shouldCache: (response) => response.status >= 200 && response.status < 300,
+        tags: [this.destination_name, ...(options?.cacheOptions?.tags ?? [])],
+      });
+    } catch (err) {
+      console.error(`[ERROR] Error while requesting data from Connection ${this.destination_name}: ${err.message}.`);
+      throw err;
+    }
+  }
 
-      //A middle ware to modify the current request config. add to middlewares if only path is defined.
-      const modifyRequestParameters = (options) => {
-        return (requestConfig) => {
-          requestConfig.url = path;
-          // requestConfig.timeout = timeOut;
-          return options.fn(requestConfig);
-        };
-      };
+  /**
+   * Removes the cached responses of this destination.
+   * @param {string} [path] - Only removes the responses for paths starting with this path, all responses of the destination are removed if not set.
+   * @returns {Promise.<number>} The number of cached responses removed.
+   */
+  async invalidateCache(path) {
+    if (!path) {
+      return await this.sapServiceCache.cache.invalidateTag(this.destination_name);
+    }
+    return await this.sapServiceCache.cache.invalidatePrefix(`${this.destination_name}.dest${path}`);
+  }
 
-      // A custom xcrf token middleware to add xcsrf token to the request from specified token url in options.
-      // if (options.needsxcsrfToken && options.xcsrfTokenPath) {}
+  /**
+   * Executes the HTTP request for {@link ConnectivityService#request} against the destination.
+   * @private
+   * @param {string} [path] - The path to which data has to be posted. The path should start with '/'.
+   * @param {keyof HTTPMETHODS} method - The HTTP method for the request.
+   * @param {Object} data - The data that needs to be sent as payload in JSON format.
+   * @param {REQUESTOPTIONS} [options=null] - The options to be included with the request.
+   * @returns {Promise.<{status: number, body: any, headers: any}>}
+   * @throws {SapServiceException} - Throws an error if the request fails without a response.
+   */
+  async #executeRequest(path, method, data, options = null) {
+    const _ = {};
+    const _headers = options?.headers ?? {};
 
-      // add the modify if path exists
-      if (path) {
-        this.middlewares.push(modifyRequestParameters);
-      }
+    // destination config to be passed to the http client.
+    const destinationConfig = {
+      destinationName: this.destination_name,
+    };
 
-      // if user token exisits add user token to destination config.
-      if (this.USER_TOKEN) {
-        Object.assign(destinationConfig, { jwt: this.USER_TOKEN });
-      }
+    //A middle ware to modify the current request config. add to middlewares if only path is defined.
+    const modifyRequestParameters = (options) => {
+      return (requestConfig) => {
+        requestConfig.url = path;
+        // requestConfig.timeout = timeOut;
+        return options.fn(requestConfig);
+      };
+    };
 
-      // Note all after middleware should be added after this line;
-      // this.middlewares.push(this.getStatusTextMiddleware);
-      try {
-        // adding connection header to improve repeated requests performance to same URL's/API's.
-        _headers.Connection = "keep-alive";
+    // A custom xcrf token middleware to add xcsrf token to the request from specified token url in options.
+    // if (options.needsxcsrfToken && options.xcsrfTokenPath) {}
 
-        const res = await executeHttpRequest(destinationConfig, { method: method, data: data, headers: _headers, middleware: this.middlewares }, { fetchCsrfToken: options?.needsxcsrfToken ?? false });
-        _.status = res.status;
-        _.body = res.data;
-        _.headers = res.headers;
+    // add the modify if path exists
+    if (path) {
+      this.middlewares.push(modifyRequestParameters);
+    }
 
-        // check if it needs to be cached
-        if (cache) {
-          // check if there is cache options available
-          const expiration = options?.cacheOptions?.duration ?? this.defaultCacheOptions.duration;
-          const obfuscate = options?.cacheOptions?.obfuscate ?? this.defaultCacheOptions.obfuscate;
-          // write to cache asynchronously.
-          this.sapServiceCache.cache.write(cacheKey, _, expiration, obfuscate).then(() => {
-            console.info(`[INFO] Cached results for ${method}-${this.destination_name}.dest/${path}`);
-          }).catch((err) => {
-            console.error(`[ERROR] Error when caching for ${method}-${this.destination_name}.dest/${path} `, err);
-          });
-        }
-      } catch (err) {
-        console.error(`[ERROR] Error while requesting data from Connection ${this.destination_name}: ${err.message}.`);
-        // throws error if status is not found the the error object.
-        if (!err.response?.status) {
-          throw new SapServiceException(`connectivity`, err);
-        }
-        _.body = err.response?.data;
-        _.status = err.response?.status;
-        _.status_message = err.response?.statusText;
-        _.headers = err.response?.headers;
-      }
-      return _;
+    // if user token exisits add user token to destination config.
+    if (this.USER_TOKEN) {
+      Object.assign(destinationConfig, { jwt: this.USER_TOKEN });
+    }
+
+    // Note all after middleware should be added after this line;
+    // this.middlewares.push(this.getStatusTextMiddleware);
+    try {
+      // adding connection header to improve repeated requests performance to same URL's/API's.
+      _headers.Connection = "keep-alive";
+
+      const res = await executeHttpRequest(destinationConfig, { method: method, data: data, headers: _headers, middleware: this.middlewares }, { fetchCsrfToken: options?.needsxcsrfToken ?? false });
+      _.status = res.status;
+      _.body = res.data;
+      _.headers = res.headers;
     } catch (err) {
       console.error(`[ERROR] Error while requesting data from Connection ${this.destination_name}: ${err.message}.`);
-      throw err;
+      // throws error if status is not found the the error object.
+      if (!err.response?.status) {
+        throw new SapServiceException(`connectivity`, err);
+      }
+      _.body = err.response?.data;
+      _.status = err.response?.status;
+      _.status_message = err.response?.statusText;
+      _.headers = err.response?.headers;
     }
+    return _;
   }
 
   /**
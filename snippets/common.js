@@ -795,6 +795,69 @@ function setUnboundedTimeout(callback, delay) {
   };
 }
 
+/**
+ * The property marking a value that JSON does not support, see {@link serializeData}.
+ */
+const SERIALIZED_TYPE_KEY = "__serialized_type__";
+
+/**
+ * Converts a value to JSON, so that it can be persisted or encoded and restored by {@link deserializeData}.
+ *
+ * Unlike `JSON.stringify`, bigints do not fail and dates, buffers, maps and sets are restored at any depth of the value,
+ * eg: a date in a Map or a bigint in an object.
+ * @param {any} value - The value to serialize.
+ * @returns {String} The JSON of the value.
+ */
+function serializeData(value) {
+  return JSON.stringify(value, function (key, json) {
+    // the value before its toJSON method was called, eg: a date instead of its ISO string.
+    const _ = this[key];
+    if (typeof _ === "bigint") {
+      return { [SERIALIZED_TYPE_KEY]: "bigint", value: _.toString() };
+    }
+    if (_ instanceof Date) {
+      // invalid dates have no ISO string.
+      return { [SERIALIZED_TYPE_KEY]: "date", value: _.toJSON() ?? "Invalid Date" };
+    }
+    if (Buffer.isBuffer(_)) {
+      return { [SERIALIZED_TYPE_KEY]: "buffer", value: _.toString("base64") };
+    }
+    if (_ instanceof Map) {
+      return { [SERIALIZED_TYPE_KEY]: "map", value: [..._] };
+    }
+    if (_ instanceof Set) {
+      return { [SERIALIZED_TYPE_KEY]: "set", value: [..._] };
+    }
+    return json;
+  });
+}
+
+/**
+ * Converts the JSON written by {@link serializeData} back to the value, plain JSON is parsed as is.
+ * @param {String} json - The JSON to convert.
+ * @returns {any} The value with its bigints, dates, buffers, maps and sets restored.
+ */
+function deserializeData(json) {
+  return JSON.parse(json, (key, _) => {
+    if (!_ || typeof _ !== "object" || typeof _[SERIALIZED_TYPE_KEY] !== "string") {
+      return _;
+    }
+    switch (_[SERIALIZED_TYPE_KEY]) {
+      case "bigint":
+        return BigInt(_.value);
+      case "date":
+        return new Date(_.value);
+      case "buffer":
+        return Buffer.from(_.value, "base64");
+      case "map":
+        return new Map(_.value);
+      case "set":
+        return new Set(_.value);
+    }
+    return _;
+  });
+}
+
 module.exports = {
   calcBusinessDaysInBetween,
   calcBusinessDaydueDate,
@@ -823,5 +886,7 @@ module.exports = {
   plainTextDigger,
   convertTodateStringToDate,
   sleep,
-  setUnboundedTimeout
+  setUnboundedTimeout,
+  serializeData,
+  deserializeData
 };
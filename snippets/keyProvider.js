@@ -0,0 +1,279 @@
+const crypt = require("node:crypto");
+const assert = require("node:assert");
+const fs = require("node:fs/promises");
+const { EventEmitter } = require("node:stream");
+
+/**
+ * A key of a {@link KeySet}.
+ * @typedef {Object} ProvidedKey
+ * @property {String} id - Identifies the key in the encoded values, must not contain `:`.
+ * @property {Buffer} key - The 32 bytes key.
+ */
+
+/**
+ * The keys handed to the {@link Obfuscator} by a {@link KeyProvider}.
+ * @typedef {Object} KeySet
+ * @property {String} current - The id of the key used to encode new values.
+ * @property {Array.<ProvidedKey>} keys - All the keys that can be used to decode, including the current one.
+ */
+
+/**
+ * Converts key material to a 32 bytes key, accepts a Buffer, a hex string of 64 characters or a base64 string.
+ * @param {Buffer|String} material - The key material.
+ * @returns {Buffer}
+ */
+function toKey(material) {
+    const key = Buffer.isBuffer(material) ? material : /^[0-9a-f]{64}$/i.test(material) ? Buffer.from(material, "hex") : Buffer.from(String(material), "base64");
+    assert(key.length === 32, new Error("A key must be 32 bytes, passed as a Buffer, a hex string or a base64 string."));
+    return key;
+}
+
+/**
+ * Creates the id of a key from the key itself, so that all the app instances derive the same id for the same key.
+ * @param {Buffer} key - The key.
+ * @returns {String}
+ */
+function toKeyId(key) {
+    return crypt.createHash("sha256").update(key).digest("hex").slice(0, 8);
+}
+
+/**
+ * Creates a {@link KeySet} from the JSON format used by the file and VCAP providers.
+ *
+ * `{ "current": "k2", "keys": { "k1": "<base64 key>", "k2": "<base64 key>" } }` or a single key as a string.
+ * @param {Object|String} config - The parsed configuration.
+ * @returns {KeySet}
+ */
+function toKeySet(config) {
+    if (typeof config === "string" || Buffer.isBuffer(config)) {
+        const key = toKey(config);
+        return { current: toKeyId(key), keys: [{ id: toKeyId(key), key: key }] };
+    }
+    assert(config && typeof config.keys === "object", new Error("The key configuration must contain the 'keys' object."));
+    const keys = Object.entries(config.keys).map(([id, material]) => ({ id: id, key: toKey(material) }));
+    return { current: config.current ?? keys[keys.length - 1]?.id, keys: keys };
+}
+
+/**
+ * Abstract class representing a source of the keys of the {@link Obfuscator}.
+ *
+ * With a provider every app instance uses the same keys, so the obfuscated values of a shared store or of a restored snapshot can be decoded.
+ * A provider hands out all the keys that are still needed to decode along with the current one, it decides how long old keys are kept.
+ *
+ * Rotation is driven by the provider:
+ * - {@link KeyProvider#refresh} loads the keys again and emits the `changed` event if they changed (eg: a rotated secret).
+ * - {@link KeyProvider#rotate} creates a new current key, only supported by providers that manage the keys themselves.
+ *
+ * Custom providers (eg: a KMS) extend this class and implement {@link KeyProvider#load}, and {@link KeyProvider#rotate} if supported.
+ */
+class KeyProvider extends EventEmitter {
+    /**
+     * The last loaded keys, used to detect changes.
+     * @type {String|undefined}
+     */
+    #fingerprint;
+
+    constructor() {
+        super();
+        // Prevent direct instantiation of the KeyProvider class
+        if (new.target === KeyProvider) {
+            throw new TypeError("Cannot construct KeyProvider instances directly");
+        }
+    }
+
+    /**
+     * Returns the events that this class emits
+     */
+    get events() {
+        return {
+            /**
+             * The keys have changed, emitted with the new {@link KeySet}.
+             */
+            changed: "changed",
+        };
+    }
+
+    /**
+     * Loads the keys from the source.
+     * @returns {Promise.<KeySet>|KeySet}
+     */
+    load() {
+        throw new Error("Method 'load()' must be implemented.");
+    }
+
+    /**
+     * If the provider can create new keys using {@link KeyProvider#rotate}.
+     * @returns {boolean}
+     */
+    get canRotate() {
+        return false;
+    }
+
+    /**
+     * Creates a new current key, the previous keys are kept to decode.
+     * @returns {Promise.<KeySet>}
+     */
+    async rotate() {
+        throw new Error(`${this.constructor.name} does not support rotation, rotate the keys at their source and call refresh().`);
+    }
+
+    /**
+     * Loads the keys again and emits the `changed` event if they changed since the last load.
+     * @returns {Promise.<KeySet>}
+     */
+    async refresh() {
+        const keySet = await this.load();
+        assert(keySet?.keys?.some((key) => key.id === keySet.current), new Error("The current key must be one of the provided keys."));
+        assert(keySet.keys.every((key) => /^[^:\s]+$/.test(key.id) && Buffer.isBuffer(key.key) && key.key.length === 32), new Error("Every key must have an id without ':' and be a 32 bytes Buffer."));
+        const fingerprint = crypt
+            .createHash("sha256")
+            .update(JSON.stringify([keySet.current, keySet.keys.map((key) => [key.id, key.key.toString("hex")])]))
+            .digest("hex");
+        const isChanged = this.#fingerprint !== undefined && this.#fingerprint !== fingerprint;
+        this.#fingerprint = fingerprint;
+        if (isChanged) {
+            this.emit(this.events.changed, keySet);
+        }
+        return keySet;
+    }
+}
+
+/**
+ * Reads the keys from an environment variable.
+ *
+ * The variable holds a single key, or a comma separated list of `id:key` pairs from oldest to newest, the last one being the current key.
+ * Keys are hex or base64 strings of 32 bytes.
+ *
+ * @example
+ * // CACHE_OBFUSCATION_KEYS=k1:<base64 key>,k2:<base64 key>
+ * const cache = new Cache({ keyProvider: new EnvKeyProvider() });
+ */
+class EnvKeyProvider extends KeyProvider {
+    /**
+     * @param {String} [variable="CACHE_OBFUSCATION_KEYS"] - The name of the environment variable.
+     */
+    constructor(variable = "CACHE_OBFUSCATION_KEYS") {
+        super();
+        this.variable = variable;
+    }
+
+    load() {
+        const value = process.env[this.variable];
+        assert(!!value, new Error(`Environment variable ${this.variable} is not set.`));
+        const entries = value.split(",").map((entry) => entry.trim()).filter((entry) => entry.length > 0);
+        if (entries.length === 1 && !entries[0].includes(":")) {
+            return toKeySet(entries[0]);
+        }
+        const keys = entries.map((entry) => {
+            const [id, material] = entry.split(":");
+            return { id: id, key: toKey(material) };
+        });
+        return { current: keys[keys.length - 1].id, keys: keys };
+    }
+}
+
+/**
+ * Reads the keys from a JSON file, eg: a mounted secret.
+ *
+ * The file holds `{ "current": "k2", "keys": { "k1": "<base64 key>", "k2": "<base64 key>" } }`, the last key is the current one if `current` is not set.
+ *
+ * @example
+ * const provider = new FileKeyProvider("/etc/secrets/cache-keys.json");
+ * const cache = new Cache({ keyProvider: provider });
+ * // once the secret has been rotated
+ * await provider.refresh();
+ */
+class FileKeyProvider extends KeyProvider {
+    /**
+     * @param {String} filePath - Location of the file.
+     */
+    constructor(filePath) {
+        super();
+        assert(typeof filePath === "string", new Error("filePath must be a string"));
+        this.filePath = filePath;
+    }
+
+    async load() {
+        return toKeySet(JSON.parse(await fs.readFile(this.filePath, "utf8")));
+    }
+}
+
+/**
+ * Reads the keys from the credentials of a service bound to the app, eg: a user-provided service.
+ *
+ * The credential holds a single key or the same JSON object as the {@link FileKeyProvider}.
+ *
+ * @example
+ * // cf cups cache-keys -p '{"obfuscation_keys": {"current": "k1", "keys": {"k1": "<base64 key>"}}}'
+ * const cache = new Cache({ keyProvider: new VcapKeyProvider("cache-keys") });
+ */
+class VcapKeyProvider extends KeyProvider {
+    /**
+     * @param {String} serviceName - The name of the bound service.
+     * @param {String} [credential="obfuscation_keys"] - The credential that holds the keys.
+     */
+    constructor(serviceName, credential = "obfuscation_keys") {
+        super();
+        assert(typeof serviceName === "string", new Error("serviceName must be a string"));
+        this.serviceName = serviceName;
+        this.credential = credential;
+    }
+
+    load() {
+        const services = Object.values(JSON.parse(process.env.VCAP_SERVICES ?? "{}")).flat();
+        const service = services.find((srvDetail) => srvDetail.name === this.serviceName);
+        assert(!!service, new Error(`Service ${this.serviceName} is not bound to the app.`));
+        const config = service.credentials?.[this.credential];
+        assert(!!config, new Error(`Service ${this.serviceName} has no credential ${this.credential}.`));
+        return toKeySet(typeof config === "string" && config.trim().startsWith("{") ? JSON.parse(config) : config);
+    }
+}
+
+/**
+ * Creates and keeps the keys in memory, a local stand-in for a KMS in tests and local runs.
+ *
+ * Unlike the other providers it supports {@link KeyProvider#rotate}, the previous `retainedKeys` keys are kept to decode.
+ * Instances sharing a provider share the keys, so multiple caches of a test can read each other's values.
+ *
+ * @example
+ * const provider = new LocalKeyProvider();
+ * const cache = new Cache({ keyProvider: provider });
+ * await provider.rotate(); // the cache switches to the new key.
+ */
+class LocalKeyProvider extends KeyProvider {
+    /**
+     * @type {Array.<ProvidedKey>}
+     */
+    #keys = [];
+
+    /**
+     * @param {Object} [options={}] - Options for the provider.
+     * @param {number} [options.retainedKeys=2] - The number of previous keys kept to decode.
+     * @param {Array.<Buffer|String>} [options.keys] - Initial keys from oldest to newest, a random key is created if not set.
+     */
+    constructor(options = {}) {
+        super();
+        this.retainedKeys = options?.retainedKeys ?? 2;
+        for (const material of options?.keys ?? [crypt.randomBytes(32)]) {
+            const key = toKey(material);
+            this.#keys.push({ id: toKeyId(key), key: key });
+        }
+    }
+
+    load() {
+        return { current: this.#keys[this.#keys.length - 1].id, keys: [...this.#keys] };
+    }
+
+    get canRotate() {
+        return true;
+    }
+
+    async rotate() {
+        const key = crypt.randomBytes(32);
+        this.#keys.push({ id: toKeyId(key), key: key });
+        this.#keys = this.#keys.slice(-(this.retainedKeys + 1));
+        return await this.refresh();
+    }
+}
+
+module.exports = { KeyProvider, EnvKeyProvider, FileKeyProvider, VcapKeyProvider, LocalKeyProvider };
@@ -1,24 +1,104 @@
 const assert = require("node:assert");
+const { EventEmitter } = require("node:events");
+const { Readable } = require("node:stream");
 const { Duration } = require("./duration");
+const { ApplicationException } = require("./appError");
+const { PoolStore, FilePoolStore } = require("./poolStore");
+const { temp_dir } = require("./constants");
+
+/**
+ * @typedef {import("./poolStore").PoolRecord} PoolRecord
+ */
 
 /**
  * @typedef {Object} PoolOptions - Additional options for the pool.
- * @property {boolean} typeStrict - Determines if the pool should enforce a strict type check for its items.
+ * @property {boolean} typeStrict - Determines if the pool should enforce a strict type check for its items, all items must have the type of the first item.
+ * Arrays, dates and null are types of their own, see {@link PoolSchema}.
+ * @property {PoolSchema|function(any):boolean} [schema] - Checks every added or updated item, either a schema or a validator returning `false` for invalid items.
+ * Invalid items are rejected with a {@link PoolException}, a schema with an unknown `type` is rejected when the pool is constructed.
+ * @property {boolean} [coerce=false] - Converts the items to the types of the `schema` where possible (eg: `"42"` to `42`) instead of rejecting them.
  * @property {Duration} drainAfter - A TTL (time-to-live) for the pool, if null its never drained, else after the duration the whole pool is drained.
+ * @property {Duration} [drainInterval] - Drains the whole pool every time the duration elapses, if not set the pool is never drained periodically.
+ * @property {Duration} [ttl] - A TTL for each item counted from when it was added, expired items are removed by the sweeper. Can be overridden per item, see {@link ScallablePool#add}.
+ * @property {Duration} [sweepInterval] - How often the sweeper removes the expired items, the `ttl` if not set.
+ * @property {Pools|null} [registry=GlobalPools] - The registry the pool is registered in, `null` to not register it.
+ */
+
+/**
+ * A JSON-schema-like description of the items of a pool.
+ *
+ * @example
+ * const schema = {
+ *     type: "object",
+ *     required: ["id", "amount"],
+ *     properties: { id: { type: "string" }, amount: { type: "number" }, lines: { type: "array", items: { type: "object" } } },
+ * };
+ *
+ * @typedef {Object} PoolSchema
+ * @property {"string"|"number"|"integer"|"boolean"|"bigint"|"object"|"array"|"date"|"null"|"any"} [type="any"] - The type of the value.
+ * @property {boolean} [nullable=false] - If `null` and `undefined` are accepted.
+ * @property {Array.<any>} [enum] - The allowed values.
+ * @property {Object.<String, PoolSchema>} [properties] - The schemas of the properties of an object.
+ * @property {Array.<String>} [required] - The properties an object must have.
+ * @property {boolean} [additionalProperties=true] - If an object may have properties that are not in `properties`.
+ * @property {PoolSchema} [items] - The schema of the elements of an array.
+ */
+
+/**
+ * An item of a {@link ScallablePool}, linked to the items added before and after it.
+ * @typedef {Object} PoolItem
+ * @property {any} value - The item.
+ * @property {String} id - The ID of the item.
+ * @property {Date} createdAt - When the item was added.
+ * @property {Date|undefined} expiresOn - When the item expires, `undefined` if it has no TTL.
+ * @property {PoolItem|undefined} prev - The item added before.
+ * @property {PoolItem|undefined} next - The item added after.
+ */
+
+/**
+ * Details of an item removed from a pool, passed to the listeners of the pool events.
+ * @typedef {Object} PoolItemDetails
+ * @property {String} id - The ID of the item.
+ * @property {any} data - The item.
+ * @property {Date} createdAt - When the item was added.
+ * @property {Date|undefined} expiresOn - When the item expires, `undefined` if it has no TTL.
+ */
+
+/**
+ * Details of a drained pool.
+ * @typedef {Object} PoolDrainDetails
+ * @property {"drain"|"drain_after"|"drain_interval"} reason - Why the pool was drained.
+ * @property {number} items - The number of items removed.
  */
 
 /**
  * Abstract class representing a pool of objects.
  * This class defines the structure for a pool and requires subclasses to implement specific methods.
+ *
+ * Every pool is registered in a {@link Pools} registry on construction, the {@link GlobalPools} by default, so that other modules
+ * can find it by its name. The name must be unique within the registry until the pool is disposed.
  */
-class Pool {
-    constructor(name) {
+class Pool extends EventEmitter {
+    /**
+     * The registry the pool is registered in, `undefined` if it is not registered.
+     * @type {Pools|undefined}
+     */
+    #registry;
+
+    /**
+     * @param {String} name - The name of the pool, unique within the registry.
+     * @param {Pools|null} [registry=GlobalPools] - The registry to register the pool in, `null` to not register it.
+     * Subclasses validate their options before calling this constructor, so that an invalid pool is never registered.
+     * @throws {PoolException} - If a pool with the same name is already registered.
+     */
+    constructor(name, registry = GlobalPools) {
+        super();
         // Ensure that the Pool class has a name
         if (name === undefined) {
             throw new Error("Pool must have a name");
         }
         /**
-         * The name of the pool, unique to the pool.
+         * The name of the pool, unique within its registry.
          * @type {String}
          */
         this.name = name;
@@ -39,6 +119,26 @@ class Pool {
         if (this.add === undefined) {
             throw new TypeError("Must override add");
         }
+        assert(registry === null || registry instanceof Pools, new Error("registry must be a Pools instance or null"));
+        this.#registry = registry ?? undefined;
+        this.#registry?.registerPool(this);
+    }
+
+    /**
+     * Returns the registry the pool is registered in.
+     * @returns {Pools|undefined}
+     */
+    get registry() {
+        return this.#registry;
+    }
+
+    /**
+     * Removes the pool from its registry, so that its name can be used again. Subclasses release their timers and resources as well.
+     * @returns {void|Promise.<void>}
+     */
+    dispose() {
+        this.#registry?.unregisterPool(this.name);
+        this.#registry = undefined;
     }
 
     /**
@@ -70,28 +170,457 @@ class Pool {
     }
 }
 
+/**
+ * Class representing an exception raised by a pool.
+ *
+ * Invalid items are rejected with a status code of 422, every other error has a status code of 500.
+ */
+class PoolException extends ApplicationException {
+    /**
+     * @param {String} code - The error code, one of {@link PoolException.code}.
+     * @param {String} message - Custom message for the error.
+     * @param {Error|undefined} err - The original error.
+     */
+    constructor(code, message, err) {
+        super("POOLERROR", `${code.toUpperCase()}::${message}`, err, code === PoolException.code.INVALID_ITEM ? 422 : 500);
+    }
+
+    /**
+     * Error codes of the pool exceptions.
+     */
+    static get code() {
+        return {
+            ACQUIRE_TIMEOUT: "ACQUIRE_TIMEOUT",
+            POOL_FULL: "POOL_FULL",
+            POOL_DRAINED: "POOL_DRAINED",
+            CREATE_FAILED: "CREATE_FAILED",
+            UNKNOWN_RESOURCE: "UNKNOWN_RESOURCE",
+            INVALID_ITEM: "INVALID_ITEM",
+            DUPLICATE_POOL: "DUPLICATE_POOL",
+            NON_EXISTENT_POOL: "NON_EXISTENT_POOL",
+        };
+    }
+}
+
+/**
+ * Class representing a collection of pools.
+ *
+ * Acts as a table of the pools by their name, so that a pool created in one module can be used in another,
+ * and controls the lifecycle of all of its pools at once (eg: on shutdown).
+ *
+ * @example
+ * process.on("SIGTERM", async () => {
+ *     await GlobalPools.drainAll();
+ *     await GlobalPools.disposeAll();
+ * });
+ */
+class Pools {
+    constructor(name) {
+        /**
+         * The pools by their name.
+         * @type {Object.<String, Pool>}
+         */
+        this.pools = {};
+        this.name = name;
+    }
+
+    /**
+     * Registers a pool under its name, called by the {@link Pool} constructor.
+     * @param {Pool} pool - The pool.
+     * @throws {PoolException} - If a pool with the same name is already registered.
+     */
+    registerPool(pool) {
+        // check if pool already exists
+        if (Object.hasOwn(this.pools, pool.name)) {
+            throw new PoolException(PoolException.code.DUPLICATE_POOL, `Pool with name ${pool.name} already exists in ${this.name} pools.`);
+        }
+        this.pools[pool.name] = pool;
+        console.info(`[POOL][INFO] Pool ${pool.name} registered.`);
+    }
+
+    /**
+     * Removes a pool from the registry, called by {@link Pool#dispose}.
+     * @param {String} name - The name of the pool.
+     * @returns {boolean} `true` if the pool was registered.
+     */
+    unregisterPool(name) {
+        if (!Object.hasOwn(this.pools, name)) {
+            return false;
+        }
+        delete this.pools[name];
+        console.info(`[POOL][INFO] Pool ${name} unregistered.`);
+        return true;
+    }
+
+    /**
+     * Checks if a pool is registered.
+     * @param {String} name - The name of the pool.
+     * @returns {boolean}
+     */
+    has(name) {
+        return Object.hasOwn(this.pools, name);
+    }
+
+    /**
+     * Retrieves the pool with the given name.
+     * @param {String} name - The name of the pool.
+     * @returns {Pool} The pool.
+     * @throws {PoolException} - If no pool with the name is registered.
+     */
+    get(name) {
+        // check if pool exists
+        if (!Object.hasOwn(this.pools, name)) {
+            throw new PoolException(PoolException.code.NON_EXISTENT_POOL, `Pool with name ${name} does not exist in ${this.name} pools.`);
+        }
+        return this.pools[name];
+    }
+
+    /**
+     * Lists the registered pools.
+     * @returns {Array.<{name: String, type: String, size: number}>} The name, class and number of items of every pool.
+     */
+    list() {
+        return Object.values(this.pools).map((pool) => ({ name: pool.name, type: pool.constructor.name, size: pool.size }));
+    }
+
+    /**
+     * Drains all the registered pools, a pool that fails to drain does not stop the others.
+     * @returns {Promise.<Array.<String>>} The names of the pools that failed to drain.
+     */
+    async drainAll() {
+        const pools = Object.values(this.pools);
+        const results = await Promise.allSettled(pools.map(async (pool) => await pool.drain()));
+        const failed = [];
+        results.forEach((result, index) => {
+            if (result.status === "rejected") {
+                console.error(`[POOL][ERROR] Unable to drain pool ${pools[index].name}.`, result.reason);
+                failed.push(pools[index].name);
+            }
+        });
+        return failed;
+    }
+
+    /**
+     * Disposes all the registered pools, stopping their timers and releasing their resources, and empties the registry.
+     * @returns {Promise.<void>}
+     */
+    async disposeAll() {
+        for (const pool of Object.values(this.pools)) {
+            try {
+                await pool.dispose();
+            } catch (err) {
+                console.error(`[POOL][ERROR] Unable to dispose pool ${pool.name}.`, err);
+                this.unregisterPool(pool.name);
+            }
+        }
+    }
+}
+
+/**
+ * GlobalPools is a {@link Pools} instance holding the pools that need to be accessed on `global` scope.
+ *
+ * Pools are registered here unless another registry (or `null`) is passed in their options.
+ */
+const GlobalPools = Object.freeze(new Pools("Global"));
+
+/**
+ * Checks if a duration can be used as the delay of `setInterval`, which runs every millisecond for delays it cannot handle instead of failing.
+ * @param {Duration} duration - The duration.
+ * @returns {boolean}
+ */
+function isInterval(duration) {
+    return duration.toMilliseconds > 0 && duration.toMilliseconds <= 2147483647;
+}
+
+/**
+ * The types a {@link PoolSchema} can have.
+ * @type {Array.<String>}
+ */
+const SCHEMA_TYPES = ["string", "number", "integer", "boolean", "bigint", "object", "array", "date", "null", "any"];
+
+/**
+ * Checks that a schema and the schemas of its properties and items have a known type.
+ * @param {PoolSchema} schema - The schema to check.
+ * @param {String} [path="$"] - The path of the schema, used in the error message.
+ * @throws {Error} - If a schema has an unknown type.
+ */
+function assertSchema(schema, path = "$") {
+    assert(!!schema && typeof schema === "object", new Error(`The schema at ${path} must be an object.`));
+    assert(schema.type === undefined || SCHEMA_TYPES.includes(schema.type), new Error(`The schema at ${path} has the unknown type ${JSON.stringify(schema.type)}, it must be one of ${SCHEMA_TYPES.join(", ")}.`));
+    for (const [name, propertySchema] of Object.entries(schema.properties ?? {})) {
+        assertSchema(propertySchema, `${path}.${name}`);
+    }
+    if (schema.items !== undefined) {
+        assertSchema(schema.items, `${path}[*]`);
+    }
+}
+
+/**
+ * Returns the type of a value as used by the {@link PoolSchema}, unlike `typeof` arrays, dates and null have a type of their own.
+ * @param {any} value - The value.
+ * @returns {String}
+ */
+function typeOf(value) {
+    if (value === null) {
+        return "null";
+    }
+    if (Array.isArray(value)) {
+        return "array";
+    }
+    if (value instanceof Date) {
+        return "date";
+    }
+    return typeof value;
+}
+
+/**
+ * Converts a value to the type of a schema, eg: the string `"42"` to the number `42`.
+ * @param {any} value - The value to convert.
+ * @param {String} type - The type of the schema.
+ * @returns {any} The converted value, or the value itself if it cannot be converted.
+ */
+function coerceTo(value, type) {
+    const valueType = typeOf(value);
+    switch (type) {
+        case "number":
+        case "integer":
+            if (valueType === "string" && value.trim() !== "" && !isNaN(Number(value))) {
+                return Number(value);
+            }
+            if (valueType === "bigint" || valueType === "date") {
+                return Number(value);
+            }
+            break;
+        case "string":
+            if (valueType === "number" || valueType === "boolean" || valueType === "bigint") {
+                return String(value);
+            }
+            if (valueType === "date" && !isNaN(value)) {
+                return value.toISOString();
+            }
+            break;
+        case "boolean":
+            if (valueType === "string" && /^(true|false)$/i.test(value.trim())) {
+                return value.trim().toLowerCase() === "true";
+            }
+            if (value === 0 || value === 1) {
+                return value === 1;
+            }
+            break;
+        case "bigint":
+            if ((valueType === "number" && Number.isInteger(value)) || (valueType === "string" && /^-?\d+$/.test(value.trim()))) {
+                return BigInt(value);
+            }
+            break;
+        case "date":
+            if ((valueType === "string" || valueType === "number") && !isNaN(new Date(value))) {
+                return new Date(value);
+            }
+            break;
+    }
+    return value;
+}
+
+/**
+ * Checks a value against a schema and returns it, converted to the types of the schema when `coerce` is set.
+ *
+ * Objects and arrays are copied when one of their values is converted, the passed value is not modified.
+ * @param {any} value - The value to check.
+ * @param {PoolSchema} schema - The schema of the value.
+ * @param {boolean} coerce - If the values are converted to the types of the schema.
+ * @param {String} [path="$"] - The path of the value, used in the error message.
+ * @returns {any} The value, converted if required.
+ * @throws {Error} - If the value does not match the schema.
+ */
+function conformToSchema(value, schema, coerce, path = "$") {
+    if (value === null || value === undefined) {
+        assert(schema.nullable === true || schema.type === "any" || !schema.type || schema.type === "null", new Error(`${path} must not be ${value}.`));
+        return value;
+    }
+    const _ = coerce && schema.type ? coerceTo(value, schema.type) : value;
+    const type = typeOf(_);
+    if (schema.type && schema.type !== "any") {
+        const matches = schema.type === "integer" ? type === "number" && Number.isInteger(_) : type === schema.type;
+        assert(matches && !(type === "date" && isNaN(_)), new Error(`${path} must be ${/^[aeiou]/.test(schema.type) ? "an" : "a"} ${schema.type}, got ${type}.`));
+    }
+    if (schema.enum) {
+        assert(schema.enum.includes(_), new Error(`${path} must be one of ${JSON.stringify(schema.enum)}.`));
+    }
+    if (type === "object" && (schema.properties || schema.required || schema.additionalProperties === false)) {
+        let copy = _;
+        for (const name of schema.required ?? []) {
+            assert(_[name] !== undefined, new Error(`${path}.${name} is required.`));
+        }
+        for (const [name, propertySchema] of Object.entries(schema.properties ?? {})) {
+            if (_[name] === undefined) {
+                continue;
+            }
+            const property = conformToSchema(_[name], propertySchema, coerce, `${path}.${name}`);
+            if (property !== _[name]) {
+                copy = copy === _ ? { ..._ } : copy;
+                copy[name] = property;
+            }
+        }
+        if (schema.additionalProperties === false) {
+            const unknown = Object.keys(_).filter((name) => !Object.prototype.hasOwnProperty.call(schema.properties ?? {}, name));
+            assert(unknown.length === 0, new Error(`${path} must not have the properties ${unknown.join(", ")}.`));
+        }
+        return copy;
+    }
+    if (type === "array" && schema.items) {
+        const elements = _.map((element, index) => conformToSchema(element, schema.items, coerce, `${path}[${index}]`));
+        return elements.some((element, index) => element !== _[index]) ? elements : _;
+    }
+    return _;
+}
+
+/**
+ * A doubly linked list of the items of a {@link ScallablePool}, in the order they were added.
+ *
+ * The items are linked through their own `prev` and `next` references, so an item looked up by its ID is removed in O(1).
+ * @private
+ */
+class PoolItemList {
+    /**
+     * @type {PoolItem|undefined}
+     */
+    #head;
+    /**
+     * @type {PoolItem|undefined}
+     */
+    #tail;
+    #length = 0;
+
+    /**
+     * Returns the number of items in the list.
+     * @returns {number}
+     */
+    get length() {
+        return this.#length;
+    }
+
+    /**
+     * Returns the oldest item.
+     * @returns {PoolItem|undefined}
+     */
+    get first() {
+        return this.#head;
+    }
+
+    /**
+     * Returns the latest item.
+     * @returns {PoolItem|undefined}
+     */
+    get last() {
+        return this.#tail;
+    }
+
+    /**
+     * Appends an item to the end of the list.
+     * @param {PoolItem} item - The item to append.
+     */
+    push(item) {
+        item.prev = this.#tail;
+        item.next = undefined;
+        if (this.#tail) {
+            this.#tail.next = item;
+        } else {
+            this.#head = item;
+        }
+        this.#tail = item;
+        this.#length++;
+    }
+
+    /**
+     * Unlinks an item from the list, an item that has already been unlinked is ignored.
+     * @param {PoolItem} item - The item to remove.
+     */
+    remove(item) {
+        if (!item.prev && this.#head !== item) {
+            // unlinking it again would move the head and decrease the length.
+            return;
+        }
+        if (item.prev) {
+            item.prev.next = item.next;
+        } else {
+            this.#head = item.next;
+        }
+        if (item.next) {
+            item.next.prev = item.prev;
+        } else {
+            this.#tail = item.prev;
+        }
+        item.prev = item.next = undefined;
+        this.#length--;
+    }
+
+    /**
+     * Removes all the items.
+     */
+    clear() {
+        this.#head = this.#tail = undefined;
+        this.#length = 0;
+    }
+
+    /**
+     * Iterates over the items from the oldest to the latest, the current item can be removed while iterating.
+     * @returns {Iterator.<PoolItem>}
+     */
+    *[Symbol.iterator]() {
+        let item = this.#head;
+        while (item) {
+            const next = item.next;
+            yield item;
+            item = next;
+        }
+    }
+}
+
 /**
  * ScalablePool is a class that manages a pool of items. It supports adding, reading, and removing items from the pool.
  * It can operate in a type-strict mode where all items must be of the same type.
+ * For a stricter check, a {@link PoolSchema} or a validator can be passed, so that invalid items are rejected when they are added or updated.
  * 
  * **Note: Continuously adding items to the pool without draining can have an adverse effect on memory usage.
  * Consider using the {@link drainAfter} parameter to automatically drain the pool after a certain duration,
  * or use a {@link Fixedpool} with a large size.**
+ *
+ * Items are kept in the order they were added and indexed by their ID, so reading, updating and removing an item by its ID takes O(1).
+ *
+ * Items can expire on their own using a `ttl`, a sweeper removes the expired items every `sweepInterval` and emits the `expired` event
+ * for each of them. Items that expired since the last sweep are removed the same way once they are read or traversed (eg: by `take`),
+ * so they are never handed out. The timers of the pool never keep the process alive, and are stopped using {@link ScallablePool#dispose}.
+ *
+ * Events:
+ * - `expired`: Emitted with the {@link PoolItemDetails} for each item removed since its TTL has elapsed.
+ * - `drained`: Emitted with the {@link PoolDrainDetails} when the whole pool is drained.
  * 
  * @example
  * const pool = new ScalablePool(true); // Creates a pool with type-strict mode enabled
  * const id = pool.add("Hello, World!"); // Adds an item to the pool and returns its ID
  * console.log(pool.read(id)); // Reads the item from the pool using its ID
  * pool.drain(); // Removes all items from the pool
+ *
+ * @example
+ * // records are dropped 10 minutes after they were added, the pool is checked every minute.
+ * const records = new ScallablePool("upload.records", { ttl: Duration.minutes(10), sweepInterval: Duration.minutes(1) });
+ * records.on(records.events.expired, ({ id }) => console.warn(`Record ${id} was never processed.`));
+ *
+ * @example
+ * // uploaded amounts are converted to numbers, records without an amount are rejected.
+ * const invoices = new ScallablePool("upload.invoices", {
+ *     schema: { type: "object", required: ["amount"], properties: { amount: { type: "number" } } },
+ *     coerce: true,
+ * });
  */
 class ScallablePool extends Pool {
     /**
      * contains all the 
-     * @type {Array.<{value:any, id: String, createdAt:Date}}
+     * @type {PoolItemList}
      */
     #poolList;
     /**
-     * @type {Map<string, any>}
+     * @type {Map<string, PoolItem>}
      */
     #poolMap;
 
@@ -101,6 +630,42 @@ class ScallablePool extends Pool {
      */
     #isTypeStrict;
 
+    /**
+     * Checks the items, see {@link PoolOptions}.
+     * @type {PoolSchema|function(any):boolean|undefined}
+     */
+    #schema;
+
+    /**
+     * If the items are converted to the types of the schema.
+     * @type {boolean}
+     */
+    #coerce;
+
+    /**
+     * The default TTL of the items.
+     * @type {Duration|undefined}
+     */
+    #ttl;
+
+    /**
+     * How often the sweeper runs.
+     * @type {Duration|undefined}
+     */
+    #sweepInterval;
+
+    /**
+     * The running sweeper.
+     * @type {NodeJS.Timeout|undefined}
+     */
+    #sweeper;
+
+    /**
+     * The drain timers of the pool.
+     * @type {Array.<NodeJS.Timeout>}
+     */
+    #timers = [];
+
 
     /**
     * Constructs a new ScalablePool instance.
@@ -108,17 +673,62 @@ class ScallablePool extends Pool {
     * @param {PoolOptions} [options={ typeStrict: false, drainAfter: undefined }] - Additional options for the pool.
     */
     constructor(name, options = { typeStrict: false, drainAfter: undefined }) {
-        super(name);
         // duration must be undfined (a falsy value is accepted) or a duration instance
         assert(!options?.drainAfter || options?.drainAfter instanceof Duration, new Error('drainAfter must be a Duration instance or null'));
-        this.#poolList = [];
+        assert(!options?.drainInterval || (options.drainInterval instanceof Duration && isInterval(options.drainInterval)), new Error('drainInterval must be a Duration instance between 0 and 24.8 days or undefined'));
+        assert(!options?.ttl || options.ttl instanceof Duration, new Error('ttl must be a Duration instance or undefined'));
+        assert(!options?.sweepInterval || (options.sweepInterval instanceof Duration && isInterval(options.sweepInterval)), new Error('sweepInterval must be a Duration instance between 0 and 24.8 days or undefined'));
+        assert(!options?.schema || typeof options.schema === "function" || typeof options.schema === "object", new Error('schema must be a PoolSchema, a validator function or undefined'));
+        if (options?.schema && typeof options.schema === "object") {
+            assertSchema(options.schema);
+        }
+        super(name, options?.registry);
+        this.#poolList = new PoolItemList();
         this.#poolMap = new Map();
         this.#isTypeStrict = options?.typeStrict;
+        this.#schema = options?.schema || undefined;
+        this.#coerce = !!options?.coerce;
+        this.#ttl = options?.ttl || undefined;
+        this.#sweepInterval = options?.sweepInterval || undefined;
         if (options?.drainAfter) {
-            setTimeout(() => {
-                this.drain();
+            this.#timers.push(setTimeout(() => {
+                this.#drain("drain_after");
                 console.info(`Pool ${this.name} drained after`, options?.drainAfter.toString());
-            }, options?.drainAfter.toMilliseconds);
+            }, options?.drainAfter.toMilliseconds).unref());
+        }
+        if (options?.drainInterval) {
+            this.#timers.push(setInterval(() => this.#drain("drain_interval"), options.drainInterval.toMilliseconds).unref());
+        }
+        if (this.#ttl || this.#sweepInterval) {
+            this.#startSweeper(this.#sweepInterval ?? this.#ttl);
+        }
+    }
+
+    /**
+     * Returns the events that this class emits
+     */
+    get events() {
+        return {
+            /**
+             * An item has been removed since its TTL has elapsed, emitted with the {@link PoolItemDetails}.
+             */
+            expired: "expired",
+            /**
+             * The whole pool has been drained, emitted with the {@link PoolDrainDetails}.
+             */
+            drained: "drained",
+        };
+    }
+
+    /**
+     * Starts the sweeper if it is not running yet.
+     * @private
+     * @param {Duration} interval - How often the sweeper runs.
+     */
+    #startSweeper(interval) {
+        if (!this.#sweeper) {
+            assert(isInterval(interval), new Error('The sweep interval must be longer than 0 and shorter than 24.8 days.'));
+            this.#sweeper = setInterval(() => this.sweep(), interval.toMilliseconds).unref();
         }
     }
 
@@ -133,94 +743,344 @@ class ScallablePool extends Pool {
 
     /**
      * Adds a new item to the pool.
-     * @param {any} data - The item to add to the pool.
+     * @param {any} data - The item to add to the pool, converted to the types of the `schema` if `coerce` is set.
+     * @param {Duration} [ttl] - The TTL of the item, the `ttl` of the pool if not set.
      * @returns {String} The unique ID assigned to the added item.
+     * @throws {PoolException} - If the item does not match the `schema` or the type of the pool.
      */
-    add(data) {
-        if (this.#isTypeStrict) {
-            assert(this.#poolList.length === 0 || typeof this.#poolList[0].value === typeof data, new Error('type of data must be the same as existing data in the pool, or set typeStrict as false.'));
+    add(data, ttl = this.#ttl) {
+        data = this.#conform(data);
+        assert(!ttl || ttl instanceof Duration, new Error('ttl must be a Duration instance or undefined'));
+        if (ttl) {
+            // items with a TTL of their own start the sweeper of pools without a ttl.
+            this.#startSweeper(this.#sweepInterval ?? ttl);
         }
         const id = crypto.randomUUID();
-        this.#poolList.push({ value: data, id: id, createdAt: new Date() });
-        this.#poolMap.set(id, data);
+        const createdAt = new Date();
+        const item = { value: data, id: id, createdAt: createdAt, expiresOn: ttl ? new Date(createdAt.getTime() + ttl.toMilliseconds) : undefined, prev: undefined, next: undefined };
+        this.#poolList.push(item);
+        this.#poolMap.set(id, item);
         return id;
     }
 
     /**
      * Reads an item from the pool by its ID.
+     *
+     * An item whose TTL has elapsed is removed, even if the sweeper has not run yet.
      * @param {String} id - The ID of the item to read.
      * @returns {any} The item associated with the given ID.
      */
     read(id) {
-        return this.#poolMap.get(id);
+        return this.#get(id)?.value;
     }
 
     /**
-     * Removes all items from the pool.
+     * Checks a new value against the schema and the type of the pool.
+     * @private
+     * @param {any} data - The new value.
+     * @returns {any} The value, converted to the types of the schema if `coerce` is set.
+     * @throws {PoolException} - If the value is invalid.
      */
-    drain() {
-        this.#poolList = [];
-        this.#poolMap.clear();
+    #conform(data) {
+        if (this.#schema) {
+            let isValid;
+            try {
+                if (typeof this.#schema === "function") {
+                    isValid = !!this.#schema(data);
+                } else {
+                    data = conformToSchema(data, this.#schema, this.#coerce);
+                    isValid = true;
+                }
+            } catch (err) {
+                throw new PoolException(PoolException.code.INVALID_ITEM, `Item does not match the schema of pool ${this.name}: ${err.message}`, err);
+            }
+            if (!isValid) {
+                const err = new Error(`Item was rejected by the validator of pool ${this.name}.`);
+                throw new PoolException(PoolException.code.INVALID_ITEM, err.message, err);
+            }
+        }
+        if (this.#isTypeStrict && this.#poolList.length > 0 && typeOf(this.#poolList.first.value) !== typeOf(data)) {
+            const err = new Error(`type of data must be the same as existing data in the pool ${this.name} (${typeOf(this.#poolList.first.value)}), or set typeStrict as false.`);
+            throw new PoolException(PoolException.code.INVALID_ITEM, err.message, err);
+        }
+        return data;
     }
 
     /**
-     * Returns a copy of the pool's items along with their metadata.
-     * Optionally drains the pool.
-     * @param {boolean} shouldDrain - Whether to drain the pool after piping its data.
-     * @returns {Array.<{id: String, createdAt: Date, data: any}>} The items in the pool.
+     * Returns an item by its ID, an item whose TTL has elapsed is removed instead.
+     * @private
+     * @param {String} id - The ID of the item.
+     * @returns {PoolItem|undefined}
      */
-    pipe(shouldDrain = false) {
-        const pooleddata = this.#poolList.map((item) => ({ id: item.id, createdAt: item.createdAt, data: item.value }));
-        if (shouldDrain) {
-            this.drain();
+    #get(id) {
+        const item = this.#poolMap.get(id);
+        if (item && this.#isExpired(item)) {
+            this.#expire([item]);
+            return undefined;
         }
-        return pooleddata;
+        return item;
     }
 
     /**
-     * Removes and returns the last item added to the pool.
-     * @returns {any} The value of the last item added to the pool, or undefined if the pool is empty.
+     * Checks if the TTL of an item has elapsed.
+     * @private
+     * @param {PoolItem} item - The item.
+     * @param {number} [now=Date.now()] - The current time in epoch milliseconds.
+     * @returns {boolean}
      */
-    pop() {
-        const data = this.#poolList.pop();
-        if (data) {
-            this.#poolMap.delete(data.id);
+    #isExpired(item, now = Date.now()) {
+        return !!item.expiresOn && item.expiresOn.getTime() <= now;
+    }
+
+    /**
+     * Returns the items that have not expired in the order they were added, the expired ones are removed.
+     * @private
+     * @returns {Array.<PoolItem>}
+     */
+    #live() {
+        const now = Date.now();
+        const items = [...this.#poolList];
+        this.#expire(items.filter((item) => this.#isExpired(item, now)));
+        // a listener of the `expired` event may have removed other items.
+        return items.filter((item) => this.#poolMap.get(item.id) === item);
+    }
+
+    /**
+     * Returns the oldest or the latest item that has not expired, the expired items in front of it are removed.
+     * @private
+     * @param {"first"|"last"} end - The end of the pool.
+     * @returns {PoolItem|undefined}
+     */
+    #edge(end) {
+        let item = this.#poolList[end];
+        while (item && this.#isExpired(item)) {
+            this.#expire([item]);
+            item = this.#poolList[end];
         }
-        return data?.value;
+        return item;
     }
 
     /**
-     * Returns the first item in the pool without removing it.
-     * @returns {any} The value of the first item in the pool, or undefined if the pool is empty.
+     * Removes an item from the list and the map.
+     * @private
+     * @param {PoolItem} item - The item to remove.
      */
-    first() {
-        return this.#poolList[0]?.value;
+    #unlink(item) {
+        this.#poolList.remove(item);
+        this.#poolMap.delete(item.id);
     }
 
     /**
-     * Returns the last item in the pool without removing it.
-     * @returns {any} The value of the last item in the pool, or undefined if the pool is empty.
+     * Removes an item from the pool by its ID.
+     * @param {String} id - The ID of the item to remove.
+     * @returns {boolean} `true` if the item was in the pool.
      */
-    last() {
-        return this.#poolList[this.#poolList.length - 1]?.value;
+    remove(id) {
+        const item = this.#poolMap.get(id);
+        if (!item) {
+            return false;
+        }
+        this.#unlink(item);
+        return true;
     }
 
     /**
-     * Executes a provided function once for each pool item.
-     * @param {Function} callback - Function to execute for each element, taking two arguments: value and index.
+     * Replaces the value of an item, the item keeps its ID, position and TTL.
+     * @param {String} id - The ID of the item to update.
+     * @param {any} value - The new value.
+     * @returns {boolean} `true` if the item was in the pool and has been updated.
+     * @throws {PoolException} - If the value does not match the `schema` or the type of the pool.
      */
-    forEach(callback) {
-        this.#poolList.forEach((item, index) => callback(item.value, index, item.createdAt));
+    update(id, value) {
+        const item = this.#get(id);
+        if (!item) {
+            return false;
+        }
+        item.value = this.#conform(value);
+        return true;
     }
 
     /**
-     * Symbol.iterator makes the ScalablePool iterable using the for...of loop.
-     * @returns {Iterator} An iterator that allows the pool to be iterated over.
+     * Returns the values of the items that match the predicate, in the order they were added.
+     *
+     * Like all the methods traversing the pool, expired items are removed instead of being passed to the predicate.
+     * @param {function(any, String, Date):boolean} predicate - Called with the value, ID and creation time of each item.
+     * @returns {Array.<any>} The matching values.
+     */
+    filter(predicate) {
+        assert(typeof predicate === "function", new Error('predicate must be a function'));
+        return this.#live()
+            .filter((item) => predicate(item.value, item.id, item.createdAt))
+            .map((item) => item.value);
+    }
+
+    /**
+     * Returns the value of the first item that matches the predicate, the expired items passed on the way are removed.
+     * @param {function(any, String, Date):boolean} predicate - Called with the value, ID and creation time of each item.
+     * @returns {any} The matching value, or undefined if no item matches.
+     */
+    find(predicate) {
+        assert(typeof predicate === "function", new Error('predicate must be a function'));
+        const now = Date.now();
+        const expired = [];
+        let found;
+        for (const item of this.#poolList) {
+            if (this.#isExpired(item, now)) {
+                expired.push(item);
+            } else if (predicate(item.value, item.id, item.createdAt)) {
+                found = item;
+                break;
+            }
+        }
+        this.#expire(expired);
+        return found?.value;
+    }
+
+    /**
+     * Removes and returns the first `count` items added to the pool, eg: to process the pool in batches.
+     *
+     * Expired items are removed with the `expired` event instead of being returned.
+     * @param {number} count - The maximum number of items to take.
+     * @returns {Array.<any>} The values of the removed items, oldest first.
+     */
+    take(count) {
+        assert(Number.isInteger(count) && count >= 0, new Error('count must be a non negative integer'));
+        const now = Date.now();
+        const expired = [];
+        const values = [];
+        for (const item of this.#poolList) {
+            if (values.length >= count) {
+                break;
+            }
+            if (this.#isExpired(item, now)) {
+                expired.push(item);
+                continue;
+            }
+            this.#unlink(item);
+            values.push(item.value);
+        }
+        this.#expire(expired);
+        return values;
+    }
+
+    /**
+     * Removes all items from the pool.
+     */
+    drain() {
+        this.#drain("drain");
+    }
+
+    /**
+     * Removes all items from the pool and emits the `drained` event.
+     * @private
+     * @param {"drain"|"drain_after"|"drain_interval"} reason - Why the pool is drained.
+     */
+    #drain(reason) {
+        const items = this.#poolList.length;
+        this.#poolList.clear();
+        this.#poolMap.clear();
+        this.emit(this.events.drained, { reason: reason, items: items });
+    }
+
+    /**
+     * Removes the items whose TTL has elapsed, called by the sweeper every `sweepInterval`.
+     * @returns {number} The number of items removed.
+     */
+    sweep() {
+        const now = Date.now();
+        return this.#expire([...this.#poolList].filter((item) => this.#isExpired(item, now)));
+    }
+
+    /**
+     * Removes expired items from the pool and emits the `expired` event for each of them.
+     *
+     * Items removed in between, eg: by a listener of the `expired` event, are skipped.
+     * @private
+     * @param {Array.<PoolItem>} items - The expired items.
+     * @returns {number} The number of items removed.
+     */
+    #expire(items) {
+        let removed = 0;
+        for (const item of items) {
+            if (this.#poolMap.get(item.id) !== item) {
+                continue;
+            }
+            this.#unlink(item);
+            removed++;
+            this.emit(this.events.expired, { id: item.id, data: item.value, createdAt: item.createdAt, expiresOn: item.expiresOn });
+        }
+        return removed;
+    }
+
+    /**
+     * Stops the sweeper and the drain timers of the pool and removes it from its registry, the items are kept.
+     */
+    dispose() {
+        clearInterval(this.#sweeper);
+        this.#sweeper = undefined;
+        this.#timers.forEach((timer) => clearTimeout(timer));
+        this.#timers = [];
+        super.dispose();
+    }
+
+    /**
+     * Returns a copy of the pool's items along with their metadata.
+     * Optionally drains the pool.
+     * @param {boolean} shouldDrain - Whether to drain the pool after piping its data.
+     * @returns {Array.<{id: String, createdAt: Date, expiresOn: Date|undefined, data: any}>} The items in the pool.
+     */
+    pipe(shouldDrain = false) {
+        const pooleddata = this.#live().map((item) => ({ id: item.id, createdAt: item.createdAt, expiresOn: item.expiresOn, data: item.value }));
+        if (shouldDrain) {
+            this.drain();
+        }
+        return pooleddata;
+    }
+
+    /**
+     * Removes and returns the last item added to the pool.
+     * @returns {any} The value of the last item added to the pool, or undefined if the pool is empty.
+     */
+    pop() {
+        const data = this.#edge("last");
+        if (data) {
+            this.#unlink(data);
+        }
+        return data?.value;
+    }
+
+    /**
+     * Returns the first item in the pool without removing it.
+     * @returns {any} The value of the first item in the pool, or undefined if the pool is empty.
+     */
+    first() {
+        return this.#edge("first")?.value;
+    }
+
+    /**
+     * Returns the last item in the pool without removing it.
+     * @returns {any} The value of the last item in the pool, or undefined if the pool is empty.
+     */
+    last() {
+        return this.#edge("last")?.value;
+    }
+
+    /**
+     * Executes a provided function once for each pool item.
+     * @param {Function} callback - Function to execute for each element, taking two arguments: value and index.
+     */
+    forEach(callback) {
+        this.#live().forEach((item, index) => callback(item.value, index, item.createdAt));
+    }
+
+    /**
+     * Symbol.iterator makes the ScalablePool iterable using the for...of loop.
+     * @returns {Iterator} An iterator that allows the pool to be iterated over.
      */
     [Symbol.iterator]() {
         let index = 0;
-        // making a shallow copy.
-        const poolList = [...this.#poolList];
+        // making a shallow copy, without the expired items.
+        const poolList = this.#live();
         return {
             next: function () {
                 if (index < poolList.length) {
@@ -235,8 +1095,761 @@ class ScallablePool extends Pool {
 }
 
 
+/**
+ * @typedef {Object} FixedPoolOptions - Options for the {@link FixedPool}.
+ * @property {number} max - The maximum number of resources in the pool, idle and in use.
+ * @property {number} [min=0] - The number of resources created upfront, requires `create`.
+ * @property {function():any|Promise.<any>} [create] - Creates a new resource when none is idle and the pool is below `max`.
+ * Without it, resources must be added to the pool using {@link FixedPool#add}.
+ * @property {function(any):boolean|Promise.<boolean>} [validate] - Checks an idle resource before it is handed out, invalid resources are destroyed.
+ * @property {function(any):void|Promise.<void>} [destroy] - Releases a resource that is removed from the pool (eg: closes a connection).
+ * @property {Duration} [acquireTimeout=Duration.seconds(30)] - How long {@link FixedPool#acquire} waits for a resource when the pool is exhausted.
+ * @property {Pools|null} [registry=GlobalPools] - The registry the pool is registered in, `null` to not register it.
+ */
+
+/**
+ * FixedPool is a pool of a bounded number of reusable resources (eg: connections or sessions), handed out one caller at a time.
+ *
+ * Resources are created upfront (`min`) or lazily up to `max`. {@link FixedPool#acquire} hands out an idle resource, creates a new
+ * one if the pool is below `max`, or waits until a resource is released. Waiting callers are served in the order they called,
+ * and fail with a {@link PoolException} once the `acquireTimeout` has elapsed.
+ *
+ * **Note: Every acquired resource must be released, else the pool is exhausted. Prefer {@link FixedPool#use}, which releases in any case.**
+ *
+ * @example
+ * // at most 5 concurrent sessions to the on-premise system.
+ * const sessions = new FixedPool("onpremise.sessions", {
+ *     max: 5,
+ *     create: () => new ConnectivityService("ONPREMISE_ERP"),
+ *     acquireTimeout: Duration.seconds(10),
+ * });
+ *
+ * const response = await sessions.use((connSrv) => connSrv.request("/sap/opu/odata/sap/API_SUPPLIERINVOICE_PROCESS_SRV", "GET"));
+ */
 class FixedPool extends Pool {
+    /**
+     * All the resources of the pool, idle and in use, by their id.
+     * @type {Map<String, {id: String, value: any, createdAt: Date, inUse: boolean, retired: boolean, lease: number}>}
+     */
+    #resources = new Map();
+    /**
+     * The ids of the resources by the resources, to release them.
+     * @type {Map<any, String>}
+     */
+    #ids = new Map();
+    /**
+     * The ids of the idle resources, the longest idle first.
+     * @type {Array.<String>}
+     */
+    #idle = [];
+    /**
+     * The callers waiting for a resource, in the order they called.
+     * @type {Array.<{resolve: Function, reject: Function, timer: NodeJS.Timeout|undefined, settled: boolean}>}
+     */
+    #waiters = [];
+    /**
+     * The waiting callers handed out by `#dispatch` whose resource is still being validated or created.
+     * @type {Set.<{resolve: Function, reject: Function, timer: NodeJS.Timeout|undefined, settled: boolean}>}
+     */
+    #dispatching = new Set();
+    /**
+     * The number of drains so far, a resource whose creation started before a drain is retired.
+     * @type {number}
+     */
+    #drains = 0;
+    /**
+     * The number of resources being created, counted towards `max`.
+     * @type {number}
+     */
+    #creating = 0;
+    #max;
+    #create;
+    #validate;
+    #destroy;
+    /**
+     * @type {Duration}
+     */
+    #acquireTimeout;
+
+    /**
+     * Constructs a new FixedPool instance.
+     * @param {String} name - The name of the pool, acts as a unique identifier.
+     * @param {FixedPoolOptions} options - Options for the pool.
+     */
+    constructor(name, options) {
+        assert(Number.isInteger(options?.max) && options.max > 0, new Error("max must be a positive integer"));
+        assert(options?.min === undefined || (Number.isInteger(options.min) && options.min >= 0 && options.min <= options.max), new Error("min must be an integer between 0 and max"));
+        assert(!options?.create || typeof options.create === "function", new Error("create must be a function or undefined"));
+        assert(!options?.validate || typeof options.validate === "function", new Error("validate must be a function or undefined"));
+        assert(!options?.destroy || typeof options.destroy === "function", new Error("destroy must be a function or undefined"));
+        assert(!options?.acquireTimeout || options.acquireTimeout instanceof Duration, new Error("acquireTimeout must be a Duration instance or undefined"));
+        assert(!options?.min || !!options.create, new Error("min requires a create function"));
+        super(name, options?.registry);
+        this.#max = options.max;
+        this.#create = options.create;
+        this.#validate = options.validate;
+        this.#destroy = options.destroy;
+        this.#acquireTimeout = options.acquireTimeout ?? Duration.seconds(30);
+
+        /**
+         * Resolves once the `min` resources are created, failures are logged and the resources are created on acquire instead.
+         * @type {Promise.<void>}
+         */
+        this.ready = Promise.all(
+            Array.from({ length: options.min ?? 0 }, async () => {
+                try {
+                    const item = await this.#createResource();
+                    item.inUse = false;
+                    if (item.retired) {
+                        // the pool was drained while the resource was created.
+                        await this.#discard(item);
+                        return;
+                    }
+                    this.#idle.push(item.id);
+                    this.#dispatch();
+                } catch (err) {
+                    console.warn(`[POOL][WARN] Unable to create a resource for pool ${this.name} upfront.`, err.exception_message ?? err.message);
+                }
+            })
+        ).then(() => undefined);
+    }
+
+    /**
+     * Returns the number of resources in the pool, idle and in use.
+     * @returns {number}
+     */
+    get size() {
+        return this.#resources.size;
+    }
+
+    /**
+     * Returns the maximum number of resources in the pool.
+     * @returns {number}
+     */
+    get max() {
+        return this.#max;
+    }
+
+    /**
+     * Returns the number of idle resources.
+     * @returns {number}
+     */
+    get available() {
+        return this.#idle.length;
+    }
+
+    /**
+     * Returns the number of resources in use.
+     * @returns {number}
+     */
+    get borrowed() {
+        return this.#resources.size - this.#idle.length;
+    }
+
+    /**
+     * Returns the number of callers waiting for a resource.
+     * @returns {number}
+     */
+    get pending() {
+        return this.#waiters.length;
+    }
+
+    /**
+     * If a new resource can be created without exceeding `max`.
+     * @private
+     * @returns {boolean}
+     */
+    get #canCreate() {
+        return !!this.#create && this.#resources.size + this.#creating < this.#max;
+    }
+
+    /**
+     * Creates a new resource and adds it to the pool as in use.
+     * @private
+     * @returns {Promise.<{id: String, value: any, createdAt: Date, inUse: boolean, retired: boolean, lease: number}>}
+     * @throws {PoolException} - If the resource cannot be created.
+     */
+    async #createResource() {
+        const drains = this.#drains;
+        this.#creating++;
+        try {
+            const item = this.#register(await this.#create(), true);
+            // a resource created across a drain is destroyed once it is released.
+            item.retired = drains !== this.#drains;
+            return item;
+        } catch (err) {
+            throw new PoolException(PoolException.code.CREATE_FAILED, `Unable to create a resource for pool ${this.name}.`, err);
+        } finally {
+            this.#creating--;
+        }
+    }
+
+    /**
+     * Adds a resource to the pool.
+     * @private
+     * @param {any} value - The resource.
+     * @param {boolean} inUse - If the resource is handed out right away.
+     */
+    #register(value, inUse) {
+        const item = { id: crypto.randomUUID(), value: value, createdAt: new Date(), inUse: inUse, retired: false, lease: 0 };
+        this.#resources.set(item.id, item);
+        this.#ids.set(value, item.id);
+        return item;
+    }
+
+    /**
+     * Removes a resource from the pool and destroys it, errors of the destroy hook are logged.
+     * @private
+     */
+    async #discard(item) {
+        this.#resources.delete(item.id);
+        this.#ids.delete(item.value);
+        this.#idle = this.#idle.filter((id) => id !== item.id);
+        try {
+            await this.#destroy?.(item.value);
+        } catch (err) {
+            console.warn(`[POOL][WARN] Unable to destroy a resource of pool ${this.name}.`, err.message);
+        }
+    }
+
+    /**
+     * Checks a resource using the validate hook, a failing hook marks the resource as invalid.
+     * @private
+     * @returns {Promise.<boolean>}
+     */
+    async #isValid(item) {
+        try {
+            return !this.#validate || !!(await this.#validate(item.value));
+        } catch (err) {
+            console.warn(`[POOL][WARN] Unable to validate a resource of pool ${this.name}, the resource is destroyed.`, err.message);
+            return false;
+        }
+    }
+
+    /**
+     * Takes a valid idle resource or creates a new one, without waiting for a release.
+     *
+     * The resource is reserved synchronously, so that concurrent calls never take the same resource or exceed `max`.
+     * @private
+     * @returns {Promise.<{id: String, value: any}|undefined>} `undefined` if the pool is exhausted.
+     */
+    async #take() {
+        while (this.#idle.length > 0) {
+            const item = this.#resources.get(this.#idle.shift());
+            item.inUse = true;
+            item.lease++;
+            if (await this.#isValid(item)) {
+                return item;
+            }
+            await this.#discard(item);
+        }
+        if (this.#canCreate) {
+            return await this.#createResource();
+        }
+        return undefined;
+    }
+
+    /**
+     * Hands out the idle resources and the free capacity to the waiting callers.
+     * @private
+     */
+    #dispatch() {
+        while (this.#waiters.length > 0 && (this.#idle.length > 0 || this.#canCreate)) {
+            const waiter = this.#waiters.shift();
+            this.#dispatching.add(waiter);
+            this.#take().then(
+                (item) => {
+                    this.#dispatching.delete(waiter);
+                    if (!item) {
+                        // every idle resource was invalid, the caller keeps its place.
+                        if (!waiter.settled) {
+                            this.#waiters.unshift(waiter);
+                        }
+                        return;
+                    }
+                    if (waiter.settled) {
+                        // the caller has timed out or the pool was drained in between.
+                        this.release(item.value);
+                        return;
+                    }
+                    waiter.settled = true;
+                    clearTimeout(waiter.timer);
+                    waiter.resolve(item.value);
+                },
+                (err) => {
+                    this.#dispatching.delete(waiter);
+                    if (!waiter.settled) {
+                        waiter.settled = true;
+                        clearTimeout(waiter.timer);
+                        waiter.reject(err);
+                    }
+                }
+            );
+        }
+    }
+
+    /**
+     * Acquires a resource, waiting for one to be released if the pool is exhausted.
+     *
+     * The resource must be given back using {@link FixedPool#release}, or {@link FixedPool#remove} if it is broken.
+     * @param {Duration} [timeout] - How long to wait for a resource, the `acquireTimeout` of the pool if not set.
+     * @returns {Promise.<any>} The resource.
+     * @throws {PoolException} - If no resource is released within the timeout, or a new resource cannot be created.
+     */
+    async acquire(timeout = this.#acquireTimeout) {
+        assert(timeout instanceof Duration, new Error("timeout must be a Duration instance"));
+        // callers that are already waiting are served first, the others wait right away so that a drain rejects them.
+        if (this.#waiters.length === 0 && (this.#idle.length > 0 || this.#canCreate)) {
+            const item = await this.#take();
+            if (item) {
+                return item.value;
+            }
+        }
+        return await new Promise((resolve, reject) => {
+            const waiter = { resolve: resolve, reject: reject, timer: undefined, settled: false };
+            waiter.timer = setTimeout(() => {
+                if (waiter.settled) {
+                    return;
+                }
+                waiter.settled = true;
+                this.#waiters = this.#waiters.filter((_) => _ !== waiter);
+                reject(new PoolException(PoolException.code.ACQUIRE_TIMEOUT, `No resource of pool ${this.name} was released within ${timeout.toString()}.`));
+            }, timeout.toMilliseconds);
+            this.#waiters.push(waiter);
+            this.#dispatch();
+        });
+    }
+
+    /**
+     * Gives an acquired resource back to the pool, where it is handed to the next waiting caller.
+     * @param {any} resource - The resource returned by {@link FixedPool#acquire}.
+     * @throws {PoolException} - If the resource is not in use by this pool.
+     */
+    release(resource) {
+        const item = this.#resources.get(this.#ids.get(resource));
+        if (!item?.inUse) {
+            throw new PoolException(PoolException.code.UNKNOWN_RESOURCE, `The resource is not in use by pool ${this.name}.`);
+        }
+        item.inUse = false;
+        if (item.retired) {
+            // the pool was drained while the resource was in use.
+            this.#discard(item).then(() => this.#dispatch());
+            return;
+        }
+        this.#idle.push(item.id);
+        this.#dispatch();
+    }
+
+    /**
+     * Acquires a resource, passes it to the callback and releases it once the callback has completed or failed.
+     *
+     * @example
+     * const count = await pool.use((connection) => connection.query("SELECT COUNT(*) FROM INVOICES"));
+     *
+     * @param {function(any):any|Promise.<any>} callback - Uses the resource.
+     * @param {Duration} [timeout] - How long to wait for a resource, see {@link FixedPool#acquire}.
+     * @returns {Promise.<any>} The result of the callback.
+     */
+    async use(callback, timeout = this.#acquireTimeout) {
+        assert(typeof callback === "function", new Error("callback must be a function"));
+        const resource = await this.acquire(timeout);
+        const item = this.#resources.get(this.#ids.get(resource));
+        const lease = item.lease;
+        try {
+            return await callback(resource);
+        } finally {
+            // the callback may have released or removed the resource itself, eg: a broken connection,
+            // and a released resource may have been handed to another caller since.
+            if (item.inUse && item.lease === lease && this.#resources.get(item.id) === item) {
+                this.release(resource);
+            }
+        }
+    }
+
+    /**
+     * Adds a resource created outside the pool as idle.
+     * @param {any} resource - The resource to add.
+     * @returns {String} The unique ID assigned to the resource.
+     * @throws {PoolException} - If the pool already holds `max` resources.
+     */
+    add(resource) {
+        assert(!this.#ids.has(resource), new Error(`The resource is already part of pool ${this.name}.`));
+        if (this.#resources.size + this.#creating >= this.#max) {
+            throw new PoolException(PoolException.code.POOL_FULL, `Pool ${this.name} already holds ${this.#max} resources.`);
+        }
+        const item = this.#register(resource, false);
+        this.#idle.push(item.id);
+        this.#dispatch();
+        return item.id;
+    }
+
+    /**
+     * Reads a resource of the pool by its ID, without acquiring it.
+     * @param {String} id - The ID of the resource.
+     * @returns {any} The resource, or undefined if the pool has no resource with the ID.
+     */
+    read(id) {
+        return this.#resources.get(id)?.value;
+    }
+
+    /**
+     * Removes a resource from the pool and destroys it, eg: an acquired connection that is broken.
+     *
+     * The capacity is freed, so a waiting caller gets a new resource.
+     * @param {any} resource - The resource to remove.
+     * @returns {Promise.<boolean>} `true` if the resource was part of the pool.
+     */
+    async remove(resource) {
+        const item = this.#resources.get(this.#ids.get(resource));
+        if (!item) {
+            return false;
+        }
+        await this.#discard(item);
+        this.#dispatch();
+        return true;
+    }
+
+    /**
+     * Destroys all the idle resources and rejects the waiting callers, including the ones whose resource is still being created.
+     *
+     * Resources in use, and the ones being created, are destroyed once they are released. The pool can still be used afterwards,
+     * new resources are created as needed.
+     * @returns {Promise.<void>}
+     */
+    async drain() {
+        this.#drains++;
+        const waiters = [...this.#waiters, ...this.#dispatching];
+        this.#waiters = [];
+        this.#dispatching.clear();
+        for (const waiter of waiters) {
+            waiter.settled = true;
+            clearTimeout(waiter.timer);
+            waiter.reject(new PoolException(PoolException.code.POOL_DRAINED, `Pool ${this.name} has been drained.`));
+        }
+        const idle = this.#idle.map((id) => this.#resources.get(id));
+        for (const item of this.#resources.values()) {
+            item.retired = item.inUse;
+        }
+        await Promise.all(idle.map((item) => this.#discard(item)));
+        console.info(`[POOL][INFO] Pool ${this.name} drained.`);
+    }
+
+    /**
+     * Drains the pool and removes it from its registry, resources in use are destroyed once they are released.
+     * @returns {Promise.<void>}
+     */
+    async dispose() {
+        await this.drain();
+        super.dispose();
+    }
+}
+
+/**
+ * @typedef {Object} SpillablePoolOptions - Options for the {@link SpillablePool}.
+ * @property {number} [threshold=1000] - The number of items kept in memory, once exceeded all the items are spilled to the store.
+ * @property {PoolStore} [store] - The store the items are spilled to, a {@link FilePoolStore} at `temp/<name>.pool.jsonl` if not set.
+ * @property {Pools|null} [registry=GlobalPools] - The registry the pool is registered in, `null` to not register it.
+ */
+
+/**
+ * SpillablePool buffers items in memory up to a threshold, and spills them to a {@link PoolStore} (eg: a local file or a CDS table)
+ * once the threshold is exceeded, so that a large upload can be buffered for a background job without holding it in memory.
+ *
+ * The items are kept in the order they were added and consumed incrementally using {@link SpillablePool#pipe}, which returns a
+ * readable stream, or by iterating the pool with `for await`. The spilled items survive a restart, a pool created with the same
+ * store continues with them once {@link SpillablePool#ready} has resolved.
+ *
+ * **Note: Spilled items are stored as JSON, bigints, dates, buffers, maps and sets are kept but class instances are read back as plain objects.
+ * The items held in memory below the threshold are not persisted, set the threshold to 0 to store every item.**
+ *
+ * Events:
+ * - `spilled`: Emitted with `{items}` when the threshold is exceeded and the items are moved to the store.
+ *
+ * @example
+ * const records = new SpillablePool("upload.records", { threshold: 5000 });
+ * await records.addMany(rows);
+ *
+ * // in the background job, the pool is drained once all the records have been processed.
+ * for await (const record of records.pipe(true)) {
+ *     await postRecord(record.data);
+ * }
+ */
+class SpillablePool extends Pool {
+    /**
+     * The items held in memory, in the order they were added.
+     * @type {Map<String, PoolRecord>}
+     */
+    #memory = new Map();
+    /**
+     * The number of items in the store.
+     * @type {number}
+     */
+    #spilled = 0;
+    /**
+     * The `seq` of the last added item.
+     * @type {number}
+     */
+    #seq = 0;
+    #threshold;
+    /**
+     * @type {PoolStore}
+     */
+    #store;
+    /**
+     * The last scheduled change of the pool, changes are applied one at a time so that memory and store stay consistent.
+     * @type {Promise.<void>}
+     */
+    #changing = Promise.resolve();
+
+    /**
+     * Constructs a new SpillablePool instance.
+     * @param {String} name - The name of the pool, acts as a unique identifier.
+     * @param {SpillablePoolOptions} [options={}] - Options for the pool.
+     */
+    constructor(name, options = {}) {
+        assert(options?.threshold === undefined || (Number.isInteger(options.threshold) && options.threshold >= 0), new Error("threshold must be a non negative integer"));
+        assert(!options?.store || options.store instanceof PoolStore, new Error("store must be a PoolStore instance or undefined"));
+        super(name, options?.registry);
+        this.#threshold = options?.threshold ?? 1000;
+        this.#store = options?.store ?? new FilePoolStore(`${temp_dir}${name}.pool.jsonl`);
+
+        /**
+         * Resolves once the items spilled before a restart have been loaded.
+         * @type {Promise.<void>}
+         */
+        this.ready = this.#change(async () => {
+            try {
+                const stats = await this.#store.stats();
+                this.#spilled = stats.count;
+                this.#seq = stats.lastSeq;
+                if (stats.count > 0) {
+                    console.info(`[POOL][INFO] Pool ${this.name} continues with ${stats.count} spilled items.`);
+                }
+            } catch (err) {
+                console.error(`[POOL][ERROR] Unable to load the spilled items of pool ${this.name}.`, err);
+            }
+        });
+    }
+
+    /**
+     * Returns the events that this class emits
+     */
+    get events() {
+        return {
+            /**
+             * The items have been moved to the store, emitted with `{items}`.
+             */
+            spilled: "spilled",
+        };
+    }
+
+    /**
+     * Returns the number of items in the pool, in memory and spilled.
+     * @returns {number}
+     */
+    get size() {
+        return this.#memory.size + this.#spilled;
+    }
+
+    /**
+     * Returns the number of items in the store.
+     * @returns {number}
+     */
+    get spilled() {
+        return this.#spilled;
+    }
+
+    /**
+     * Returns the store the items are spilled to.
+     * @returns {PoolStore}
+     */
+    get store() {
+        return this.#store;
+    }
+
+    /**
+     * Schedules a change of the pool after the changes scheduled before.
+     * @private
+     * @param {function():Promise.<any>} operation - The change.
+     * @returns {Promise.<any>} The result of the change.
+     */
+    #change(operation) {
+        const result = this.#changing.then(operation);
+        this.#changing = result.then(
+            () => undefined,
+            () => undefined
+        );
+        return result;
+    }
+
+    /**
+     * Adds a new item to the pool.
+     * @param {any} data - The item to add to the pool.
+     * @returns {Promise.<String>} The unique ID assigned to the added item, once it has been stored.
+     */
+    async add(data) {
+        return (await this.addMany([data]))[0];
+    }
+
+    /**
+     * Adds several items at once, spilled items are written to the store in a single call.
+     * @param {Array.<any>} items - The items to add, in order.
+     * @returns {Promise.<Array.<String>>} The IDs assigned to the items, in the order of the items.
+     */
+    addMany(items) {
+        assert(Array.isArray(items), new Error("items must be an array"));
+        return this.#change(async () => {
+            const records = items.map((data) => ({ id: crypto.randomUUID(), seq: ++this.#seq, createdAt: new Date(), data: data }));
+            if (this.#spilled === 0 && this.#memory.size + records.length <= this.#threshold) {
+                records.forEach((record) => this.#memory.set(record.id, record));
+                return records.map((record) => record.id);
+            }
+            // past the threshold the items held in memory are moved to the store as well, so that the store keeps the order.
+            const spilling = [...this.#memory.values(), ...records];
+            await this.#store.append(spilling);
+            this.#memory.clear();
+            if (this.#spilled === 0) {
+                console.info(`[POOL][INFO] Pool ${this.name} exceeded ${this.#threshold} items and is spilled to the store.`);
+                this.emit(this.events.spilled, { items: spilling.length });
+            }
+            this.#spilled += spilling.length;
+            return records.map((record) => record.id);
+        });
+    }
+
+    /**
+     * Reads an item from the pool by its ID, spilled items are looked up in the store.
+     * @param {String} id - The ID of the item to read.
+     * @returns {Promise.<any>} The item associated with the given ID.
+     */
+    async read(id) {
+        await this.ready;
+        if (this.#memory.has(id)) {
+            return this.#memory.get(id).data;
+        }
+        if (this.#spilled > 0) {
+            for await (const record of this.#store.records()) {
+                if (record.id === id) {
+                    return record.data;
+                }
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Removes an item from the pool by its ID.
+     * @param {String} id - The ID of the item to remove.
+     * @returns {Promise.<boolean>} `true` if the item was in the pool.
+     */
+    remove(id) {
+        return this.#change(async () => {
+            if (this.#memory.delete(id)) {
+                return true;
+            }
+            const removed = this.#spilled > 0 ? await this.#store.remove([id]) : 0;
+            this.#spilled -= removed;
+            return removed > 0;
+        });
+    }
+
+    /**
+     * Removes all items from the pool, in memory and spilled.
+     * @returns {Promise.<void>}
+     */
+    drain() {
+        return this.#change(async () => {
+            this.#memory.clear();
+            await this.#store.clear();
+            this.#spilled = 0;
+        });
+    }
+
+    /**
+     * Waits for the pending changes and removes the pool from its registry.
+     *
+     * The spilled items are kept in the store, a pool created with the same store continues with them.
+     * @returns {Promise.<void>}
+     */
+    async dispose() {
+        await this.#change(async () => undefined);
+        super.dispose();
+    }
+
+    /**
+     * Returns the items of the pool as a readable stream of `{id, createdAt, data}` objects, in the order they were added.
+     *
+     * Only the items added before the stream was created are part of it. The stream reads the spilled items incrementally,
+     * so it can be consumed with `for await` or piped into a writable stream without loading the pool into memory.
+     * @param {boolean} [shouldDrain=false] - Removes the streamed items from the pool once the stream has been consumed entirely.
+     * @returns {Readable} A readable stream in object mode.
+     */
+    pipe(shouldDrain = false) {
+        return Readable.from(this.#stream(this.#cut(), shouldDrain));
+    }
 
+    /**
+     * Makes the pool iterable using the for await...of loop, without draining it.
+     * @returns {AsyncIterator.<{id: String, createdAt: Date, data: any}>}
+     */
+    [Symbol.asyncIterator]() {
+        return this.#stream(this.#cut(), false);
+    }
+
+    /**
+     * Returns the `seq` of the last item added so far, once the pending changes are applied.
+     *
+     * Scheduled right away, since a stream only starts to read when it is consumed.
+     * @private
+     * @returns {Promise.<number>}
+     */
+    #cut() {
+        return this.#change(async () => this.#seq);
+    }
+
+    /**
+     * Yields the items up to a `seq`.
+     * @private
+     * @param {Promise.<number>} cut - The `seq` of the last item to yield, see `#cut`.
+     * @param {boolean} shouldDrain - Removes the yielded items once all of them have been yielded.
+     * @returns {AsyncGenerator.<{id: String, createdAt: Date, data: any}>}
+     */
+    async *#stream(cut, shouldDrain) {
+        const until = await cut;
+        let last = 0;
+        for (const record of [...this.#memory.values()]) {
+            if (record.seq > until) {
+                break;
+            }
+            yield { id: record.id, createdAt: record.createdAt, data: record.data };
+            last = record.seq;
+        }
+        // the items held in memory may have been spilled in between, the ones already yielded are skipped.
+        if (this.#spilled > 0) {
+            for await (const record of this.#store.records()) {
+                if (record.seq <= last) {
+                    continue;
+                }
+                if (record.seq > until) {
+                    break;
+                }
+                yield { id: record.id, createdAt: record.createdAt, data: record.data };
+                last = record.seq;
+            }
+        }
+        if (shouldDrain && last > 0) {
+            await this.#change(async () => {
+                for (const record of [...this.#memory.values()]) {
+                    if (record.seq <= last) {
+                        this.#memory.delete(record.id);
+                    }
+                }
+                if (this.#spilled > 0) {
+                    this.#spilled -= await this.#store.removeUntil(last);
+                }
+            });
+        }
+    }
 }
 
-module.exports = { ScallablePool, FixedPool }
\ No newline at end of file
+module.exports = { ScallablePool, FixedPool, SpillablePool, PoolException, Pools, GlobalPools }
\ No newline at end of file
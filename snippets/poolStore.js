@@ -0,0 +1,345 @@
+const path = require("node:path");
+const fs = require("node:fs/promises");
+const { createReadStream } = require("node:fs");
+const readline = require("node:readline");
+const cds = require("@sap/cds");
+
+const { temp_dir } = require("./constants");
+const { serializeData, deserializeData } = require("./common");
+
+/**
+ * A single item of a pool as it is handed to and returned from a {@link PoolStore}.
+ * @typedef {Object} PoolRecord
+ * @property {String} id - The ID of the item.
+ * @property {number} seq - The position of the item in the pool, increasing in the order the items were added.
+ * @property {Date} createdAt - When the item was added.
+ * @property {any} data - The item, must be JSON serializable. Bigints, dates, buffers, maps and sets are kept, see `serializeData` of the common module.
+ */
+
+/**
+ * Details of the items held by a {@link PoolStore}.
+ * @typedef {Object} PoolStoreStats
+ * @property {number} count - The number of items.
+ * @property {number} lastSeq - The highest `seq` of the items, `0` if there are none.
+ */
+
+/**
+ * Abstract class representing the storage backend of a {@link SpillablePool}, where the items are spilled to once the pool
+ * has grown past its threshold.
+ *
+ * A store keeps the items in the order of their `seq`, and must be able to hand them out incrementally, so that a pool far larger
+ * than the memory of the app can be consumed.
+ *
+ * All methods may return a value or a promise, the pool always awaits them.
+ */
+class PoolStore {
+    constructor() {
+        // Prevent direct instantiation of the PoolStore class
+        if (new.target === PoolStore) {
+            throw new TypeError("Cannot construct PoolStore instances directly");
+        }
+    }
+
+    /**
+     * Returns the number of items in the store and the highest `seq`, called once when a pool is created to continue after a restart.
+     * @returns {Promise.<PoolStoreStats>}
+     */
+    stats() {
+        throw new Error("Method 'stats()' must be implemented.");
+    }
+
+    /**
+     * Appends items to the store, the items have a higher `seq` than the items already stored.
+     * @param {Array.<PoolRecord>} records - The items to append.
+     * @returns {Promise.<void>}
+     */
+    append(records) {
+        throw new Error("Method 'append()' must be implemented.");
+    }
+
+    /**
+     * Returns all the items in the order of their `seq`.
+     * @returns {AsyncIterable.<PoolRecord>}
+     */
+    records() {
+        throw new Error("Method 'records()' must be implemented.");
+    }
+
+    /**
+     * Removes items by their ID.
+     * @param {Array.<String>} ids - The IDs of the items to remove.
+     * @returns {Promise.<number>} The number of items removed.
+     */
+    remove(ids) {
+        throw new Error("Method 'remove()' must be implemented.");
+    }
+
+    /**
+     * Removes all the items up to and including a `seq`, eg: the items that have been consumed.
+     * @param {number} seq - The `seq` of the last item to remove.
+     * @returns {Promise.<number>} The number of items removed.
+     */
+    removeUntil(seq) {
+        throw new Error("Method 'removeUntil()' must be implemented.");
+    }
+
+    /**
+     * Removes all the items from the store.
+     * @returns {Promise.<void>}
+     */
+    clear() {
+        throw new Error("Method 'clear()' must be implemented.");
+    }
+}
+
+/**
+ * A store that appends the items to a local file, one JSON line per item.
+ *
+ * Adding an item only appends a line, removing items rewrites the file. Writes are chained, so that the file always contains the latest state.
+ *
+ * **Note: Meant for single instance apps, the file is not shared between app instances on Cloud Foundry and is lost when the instance is restaged.**
+ *
+ * @example
+ * const pool = new SpillablePool("upload.records", { store: new FilePoolStore("temp/upload.records.jsonl") });
+ */
+class FilePoolStore extends PoolStore {
+    /**
+     * The last scheduled write to the file.
+     * @type {Promise.<void>}
+     */
+    #writing = Promise.resolve();
+
+    /**
+     * @param {String} [filePath="temp/pool.jsonl"] - Location of the file, created if it does not exist.
+     */
+    constructor(filePath = temp_dir + "pool.jsonl") {
+        super();
+        /**
+         * Location of the pool file.
+         * @type {String}
+         */
+        this.filePath = filePath;
+    }
+
+    /**
+     * Chains a write to the file.
+     * @private
+     * @param {function():Promise.<any>} operation - The write.
+     * @returns {Promise.<any>} The result of the write.
+     */
+    #write(operation) {
+        const result = this.#writing.then(operation);
+        this.#writing = result.then(
+            () => undefined,
+            (err) => {
+                console.error(`[POOL_STORE][ERROR] Unable to write pool file ${this.filePath}.`, err);
+            }
+        );
+        return result;
+    }
+
+    /**
+     * Reads the items of the file line by line.
+     * @private
+     * @returns {AsyncIterable.<PoolRecord>}
+     */
+    async *#read() {
+        let input;
+        try {
+            await fs.access(this.filePath);
+            input = createReadStream(this.filePath, { encoding: "utf8" });
+        } catch (err) {
+            if (err.code === "ENOENT") {
+                return;
+            }
+            throw err;
+        }
+        const lines = readline.createInterface({ input: input, crlfDelay: Infinity });
+        try {
+            for await (const line of lines) {
+                if (line.trim().length === 0) {
+                    continue;
+                }
+                let record;
+                try {
+                    record = deserializeData(line);
+                } catch (err) {
+                    // eg: the last line of a write interrupted by a crash.
+                    console.warn(`[POOL_STORE][WARN] Skipping a corrupted line of pool file ${this.filePath}.`, err.message);
+                    continue;
+                }
+                yield { ...record, createdAt: new Date(record.createdAt) };
+            }
+        } finally {
+            lines.close();
+            input.destroy();
+        }
+    }
+
+    /**
+     * Rewrites the file with the items that are kept.
+     * @private
+     * @param {function(PoolRecord):boolean} keep - Decides if an item is kept.
+     * @returns {Promise.<number>} The number of items removed.
+     */
+    #rewrite(keep) {
+        return this.#write(async () => {
+            const temp = `${this.filePath}.${process.pid}.tmp`;
+            const output = await fs.open(temp, "w");
+            let removed = 0;
+            try {
+                for await (const record of this.#read()) {
+                    if (keep(record)) {
+                        await output.write(serializeData(record) + "\n");
+                    } else {
+                        removed++;
+                    }
+                }
+            } finally {
+                await output.close();
+            }
+            await fs.rename(temp, this.filePath);
+            return removed;
+        });
+    }
+
+    async stats() {
+        await this.#writing;
+        const stats = { count: 0, lastSeq: 0 };
+        for await (const record of this.#read()) {
+            stats.count++;
+            stats.lastSeq = Math.max(stats.lastSeq, record.seq);
+        }
+        return stats;
+    }
+
+    append(records) {
+        return this.#write(async () => {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.appendFile(this.filePath, records.map((record) => serializeData(record) + "\n").join(""), "utf8");
+        });
+    }
+
+    async *records() {
+        // the appends scheduled so far are part of the items.
+        await this.#writing;
+        yield* this.#read();
+    }
+
+    remove(ids) {
+        const removed = new Set(ids);
+        return this.#rewrite((record) => !removed.has(record.id));
+    }
+
+    removeUntil(seq) {
+        return this.#rewrite((record) => record.seq > seq);
+    }
+
+    clear() {
+        return this.#write(async () => {
+            await fs.rm(this.filePath, { force: true });
+        });
+    }
+}
+
+/**
+ * A store backed by a CDS entity, using the same `db` connection as the rest of the application,
+ * so that the items survive a restart and can be consumed by any app instance.
+ *
+ * The items of all the pools can share the entity, they are separated by the name of the pool.
+ * The entity must have the following elements:
+ * ```
+ * entity POOL_ITEMS {
+ *   key id       : UUID;
+ *       pool     : String(100);
+ *       seq      : Int64;
+ *       createdAt: Timestamp;
+ *       data     : LargeString;
+ * }
+ * ```
+ *
+ * @example
+ * const pool = new SpillablePool("upload.records", { store: new CdsPoolStore("upload.records") });
+ */
+class CdsPoolStore extends PoolStore {
+    #db;
+
+    /**
+     * @param {String} pool - The name of the pool, separates its items from the items of other pools.
+     * @param {String} [entity="POOL_ITEMS"] - The entity name in which the items are stored.
+     * @param {String} [namespace="db.journal_entry"] - The database namespace of the entity.
+     * @param {number} [pageSize=500] - The number of items read at once by {@link CdsPoolStore#records}.
+     */
+    constructor(pool, entity = "POOL_ITEMS", namespace = "db.journal_entry", pageSize = 500) {
+        super();
+        this.pool = pool;
+        this.entity = entity;
+        this.namespace = namespace;
+        this.pageSize = pageSize;
+    }
+
+    /**
+     * Connects to the primary database and returns the pool entity.
+     * @private
+     */
+    async #connect() {
+        if (!this.#db) {
+            this.#db = await cds.connect.to("db");
+        }
+        return this.#db.entities(this.namespace)[this.entity];
+    }
+
+    async stats() {
+        const entity = await this.#connect();
+        const row = await cds.run(SELECT.one.from(entity).columns("count(1) as count", "max(seq) as lastSeq").where({ pool: this.pool }));
+        return { count: Number(row?.count ?? 0), lastSeq: Number(row?.lastSeq ?? 0) };
+    }
+
+    async append(records) {
+        const entity = await this.#connect();
+        await cds.run(
+            INSERT.into(entity).entries(
+                records.map((record) => ({
+                    id: record.id,
+                    pool: this.pool,
+                    seq: record.seq,
+                    createdAt: record.createdAt.toISOString(),
+                    data: serializeData(record.data),
+                }))
+            )
+        );
+    }
+
+    async *records() {
+        const entity = await this.#connect();
+        let lastSeq = -1;
+        while (true) {
+            // paged by seq instead of an offset, so that removed items do not shift the pages.
+            const rows = await cds.run(SELECT.from(entity).where({ pool: this.pool, seq: { ">": lastSeq } }).orderBy("seq").limit(this.pageSize));
+            for (const row of rows) {
+                yield { id: row.id, seq: Number(row.seq), createdAt: new Date(row.createdAt), data: deserializeData(row.data) };
+            }
+            if (rows.length < this.pageSize) {
+                return;
+            }
+            lastSeq = Number(rows[rows.length - 1].seq);
+        }
+    }
+
+    async remove(ids) {
+        const entity = await this.#connect();
+        return await cds.run(DELETE.from(entity).where({ pool: this.pool, id: { in: ids } }));
+    }
+
+    async removeUntil(seq) {
+        const entity = await this.#connect();
+        return await cds.run(DELETE.from(entity).where({ pool: this.pool, seq: { "<=": seq } }));
+    }
+
+    async clear() {
+        const entity = await this.#connect();
+        await cds.run(DELETE.from(entity).where({ pool: this.pool }));
+    }
+}
+
+module.exports = { PoolStore, FilePoolStore, CdsPoolStore };
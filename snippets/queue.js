@@ -95,6 +95,153 @@ class Queue {
 }
 
 
+/**
+ * A queue that hands out the item with the highest priority first, backed by a binary heap.
+ *
+ * It has the same contract as the {@link Queue}, items of equal priority are dequeued in the order they were added.
+ *
+ * @example
+ * const queue = new PriorityQueue(3);
+ * queue.enqueue("refresh", 0);
+ * queue.enqueue("approval", 10);
+ * queue.enqueue("refresh again"); // priority 0
+ * queue.dequeue(); // "approval"
+ * queue.dequeue(); // "refresh"
+ * queue.dequeue(); // "refresh again"
+ *
+ * @class
+ */
+class PriorityQueue {
+    /**
+     * Create a priority queue.
+     * @param {number} capacity - Maximum size of the queue.
+     */
+    constructor(capacity) {
+        this.capacity = capacity; // Maximum size of the queue
+        this.items = []; // Heap of {item, priority, order} entries, the next entry at index 0
+        this.size = 0;
+        /**
+         * Increasing number given to every entry, keeps the order of the entries with the same priority.
+         * @private {number}
+         */
+        this.order = 0;
+    }
+
+    /**
+     * Add an item to the queue.
+     * @param {*} item - The item to add.
+     * @param {number} [priority=0] - The priority of the item, higher priorities are dequeued first.
+     * @throws {Error} If the queue is full or the priority is not a number.
+     */
+    enqueue(item, priority = 0) {
+        assert(typeof priority === 'number' && !Number.isNaN(priority), new Error('priority must be a number'));
+        if (this.isFull()) {
+            throw new Error("Queue is full");
+        }
+        this.items.push({ item: item, priority: priority, order: this.order++ });
+        this.size++;
+        this.#siftUp(this.size - 1);
+    }
+
+    /**
+     * Remove the item with the highest priority from the queue.
+     * @returns {*} The removed item.
+     * @throws {Error} If the queue is empty.
+     */
+    dequeue() {
+        if (this.isEmpty()) {
+            throw new Error("Queue is empty");
+        }
+        const top = this.items[0];
+        const last = this.items.pop();
+        this.size--;
+        if (this.size > 0) {
+            // move the last entry to the top and let it sink to its place
+            this.items[0] = last;
+            this.#siftDown(0);
+        }
+        return top.item;
+    }
+
+    /**
+     * Check if the queue is empty.
+     * @returns {boolean} True if the queue is empty, false otherwise.
+     */
+    isEmpty() {
+        return this.size === 0;
+    }
+
+    /**
+     * Check if the queue is full.
+     * @returns {boolean} True if the queue is full, false otherwise.
+     */
+    isFull() {
+        return this.size === this.capacity;
+    }
+
+    /**
+     * Get the item with the highest priority without removing it.
+     * @returns {*} The item at the front of the queue.
+     * @throws {Error} If the queue is empty.
+     */
+    peek() {
+        if (this.isEmpty()) {
+            throw new Error("Queue is empty");
+        }
+        return this.items[0].item;
+    }
+
+    /**
+     * Checks if an entry is dequeued before another, on equal priority the entry added first goes first.
+     * @private
+     * @returns {boolean}
+     */
+    #isBefore(a, b) {
+        return a.priority > b.priority || (a.priority === b.priority && a.order < b.order);
+    }
+
+    /**
+     * Moves an entry up the heap until its parent goes before it.
+     * @private
+     * @param {number} index - The index of the entry.
+     */
+    #siftUp(index) {
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (!this.#isBefore(this.items[index], this.items[parent])) {
+                break;
+            }
+            [this.items[index], this.items[parent]] = [this.items[parent], this.items[index]];
+            index = parent;
+        }
+    }
+
+    /**
+     * Moves an entry down the heap until it goes before both of its children.
+     * @private
+     * @param {number} index - The index of the entry.
+     */
+    #siftDown(index) {
+        while (true) {
+            const left = 2 * index + 1;
+            const right = left + 1;
+            let next = index;
+            if (left < this.size && this.#isBefore(this.items[left], this.items[next])) {
+                next = left;
+            }
+            if (right < this.size && this.#isBefore(this.items[right], this.items[next])) {
+                next = right;
+            }
+            if (next === index) {
+                break;
+            }
+            [this.items[index], this.items[next]] = [this.items[next], this.items[index]];
+            index = next;
+        }
+    }
+}
+
+
 
 
 
@@ -127,6 +274,12 @@ class Queue {
  *
  * queue.process();
  *
+ * @example
+ * // Priority mode, the queued function with the highest priority is executed next
+ * const tasks = new ProcessQueue(100, { priority: true });
+ * tasks.enqueue(refreshCatalog, null, 0);
+ * tasks.enqueue(approveRequest, onApproved, 10); // executed before the refreshes still queued
+ *
  * @extends Queue
  */
 class ProcessQueue extends Queue {
@@ -134,13 +287,21 @@ class ProcessQueue extends Queue {
      * Creates a new ProcessQueue instance with the specified capacity.
      *
      * @param {number} capacity - The maximum number of functions that can be held in the queue.
+     * @param {Object} [options] - Options for the queue.
+     * @param {boolean} [options.priority=false] - Executes the functions by their priority instead of the order they were added,
+     * functions with the same priority are executed in the order they were added.
      */
-    constructor(capacity) {
+    constructor(capacity, options = { priority: false }) {
         super(capacity);
         /**
          * @private {boolean}
          */
         this.isExecuting = false;
+        /**
+         * Holds the functions in priority mode, `undefined` otherwise.
+         * @private {PriorityQueue|undefined}
+         */
+        this.priorityQueue = options?.priority ? new PriorityQueue(capacity) : undefined;
     }
 
     /**
@@ -148,13 +309,20 @@ class ProcessQueue extends Queue {
      *
      * @param {Function} item - The function to be added to the process queue.
      * @param {processCompleteCallback| undefined} [processCompleteCallback=null] - The optional callback function to be called when the function is completed.
-     * @throws {Error} - If the provided item is not a function.
+     * @param {number} [priority=0] - The priority of the function, higher priorities are executed first. Only supported in priority mode.
+     * @throws {Error} - If the provided item is not a function, or a priority is passed to a queue that is not in priority mode.
      * @override
      */
-    enqueue(item, processCompleteCallback = null) {
+    enqueue(item, processCompleteCallback = null, priority = undefined) {
         assert(typeof item === 'function', new Error('Passed itemNo to enqueue must be a function'))
         assert(!processCompleteCallback || typeof processCompleteCallback === 'function', new Error('processCompleteCallback must be a function.'));
-        super.enqueue({ function: item, callback: processCompleteCallback });
+        assert(priority === undefined || !!this.priorityQueue, new Error('priority is only supported by a ProcessQueue created with the priority option.'));
+        if (this.priorityQueue) {
+            this.priorityQueue.enqueue({ function: item, callback: processCompleteCallback }, priority ?? 0);
+            this.size = this.priorityQueue.size; // keeps isEmpty and isFull of the Queue working
+        } else {
+            super.enqueue({ function: item, callback: processCompleteCallback });
+        }
 
         // Call process if not already processing
         if (!this.isExecuting) {
@@ -162,6 +330,31 @@ class ProcessQueue extends Queue {
         }
     }
 
+    /**
+     * Removes the next function from the queue, the one with the highest priority in priority mode.
+     * @returns {{function: Function, callback: processCompleteCallback|null}} The removed function and its callback.
+     * @throws {Error} If the queue is empty.
+     * @override
+     */
+    dequeue() {
+        if (!this.priorityQueue) {
+            return super.dequeue();
+        }
+        const item = this.priorityQueue.dequeue();
+        this.size = this.priorityQueue.size;
+        return item;
+    }
+
+    /**
+     * Get the next function without removing it, the one with the highest priority in priority mode.
+     * @returns {{function: Function, callback: processCompleteCallback|null}} The next function and its callback.
+     * @throws {Error} If the queue is empty.
+     * @override
+     */
+    peek() {
+        return this.priorityQueue ? this.priorityQueue.peek() : super.peek();
+    }
+
     /**
      * Starts processing the queue asynchronously, one function at a time.
      */
@@ -195,4 +388,4 @@ class ProcessQueue extends Queue {
 }
 
 
-module.exports = { Queue, ProcessQueue }
\ No newline at end of file
+module.exports = { Queue, PriorityQueue, ProcessQueue }
\ No newline at end of file
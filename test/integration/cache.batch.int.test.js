@@ -0,0 +1,42 @@
+const { useCaches } = require("./helpers");
+
+describe("Cache batch operations", () => {
+    const createCache = useCaches();
+
+    test("writeMany stores all the items and readMany returns them in order", async () => {
+        const cache = createCache();
+        await cache.writeMany([
+            { key: "a", value: 1 },
+            { key: "b", value: { secret: true }, obfuscate: true },
+        ]);
+        expect(await cache.readMany(["b", "missing", "a"])).toEqual([
+            { key: "b", found: true, value: { secret: true } },
+            { key: "missing", found: false, value: null },
+            { key: "a", found: true, value: 1 },
+        ]);
+    });
+
+    test("deleteMany reports which keys existed", async () => {
+        const cache = createCache();
+        await cache.writeMany([
+            { key: "a", value: 1 },
+            { key: "b", value: 2 },
+        ]);
+        expect(await cache.deleteMany(["a", "missing", "b"])).toEqual([true, false, true]);
+        expect(await cache.stats()).toMatchObject({ entries: 0 });
+    });
+
+    test("a batch with an invalid value is rejected before anything is stored", async () => {
+        const cache = createCache();
+        await expect(cache.writeMany([{ key: "a", value: 1 }, { key: "b", value: () => 2 }])).rejects.toThrow();
+        expect(await cache.has("a")).toBe(false);
+    });
+
+    test("a batch written while the key is rotated stays readable", async () => {
+        const cache = createCache();
+        const items = Array.from({ length: 20 }, (_, i) => ({ key: `k${i}`, value: i, obfuscate: true }));
+        await Promise.all([cache.writeMany(items), cache.obfuscate.rotateKey(), cache.writeMany(items.map((item) => ({ ...item, key: `n${item.key}` })))]);
+        const results = await cache.readMany([...items.map((item) => item.key), ...items.map((item) => `n${item.key}`)]);
+        expect(results.map((result) => result.value)).toEqual([...items, ...items].map((item) => item.value));
+    });
+});
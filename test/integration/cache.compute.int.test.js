@@ -0,0 +1,43 @@
+const { useCaches, sleep } = require("./helpers");
+
+describe("Cache getOrCompute", () => {
+    const createCache = useCaches();
+
+    test("concurrent calls for the same key share a single call to the loader", async () => {
+        const cache = createCache();
+        const loader = jest.fn(async () => {
+            await sleep(20);
+            return { id: 1 };
+        });
+        const values = await Promise.all([cache.getOrCompute("a", loader), cache.getOrCompute("a", loader), cache.getOrCompute("a", loader)]);
+        expect(loader).toHaveBeenCalledTimes(1);
+        expect(values).toEqual([{ id: 1 }, { id: 1 }, { id: 1 }]);
+        expect(await cache.getOrCompute("a", loader)).toEqual({ id: 1 });
+        expect(loader).toHaveBeenCalledTimes(1);
+    });
+
+    test("calls for different keys are not coalesced", async () => {
+        const cache = createCache();
+        const loader = jest.fn(async (key) => key.toUpperCase());
+        expect(await Promise.all([cache.getOrCompute("a", loader), cache.getOrCompute("b", loader)])).toEqual(["A", "B"]);
+        expect(loader).toHaveBeenCalledTimes(2);
+    });
+
+    test("loader errors are passed to every caller and nothing is cached", async () => {
+        const cache = createCache();
+        const loader = jest.fn(async () => {
+            throw new Error("backend down");
+        });
+        const results = await Promise.allSettled([cache.getOrCompute("a", loader), cache.getOrCompute("a", loader)]);
+        expect(results.map((result) => result.reason?.message)).toEqual(["backend down", "backend down"]);
+        expect(loader).toHaveBeenCalledTimes(1);
+        expect(await cache.has("a")).toBe(false);
+    });
+
+    test("values rejected by shouldCache are returned but not cached", async () => {
+        const cache = createCache();
+        const response = { status: 500 };
+        expect(await cache.getOrCompute("a", async () => response, { shouldCache: (value) => value.status === 200 })).toBe(response);
+        expect(await cache.has("a")).toBe(false);
+    });
+});
@@ -0,0 +1,48 @@
+const { Duration } = require("../../snippets/duration");
+const { useCaches, sleep } = require("./helpers");
+
+describe("Cache events", () => {
+    const createCache = useCaches();
+
+    test("writes and deletes are emitted with the key", async () => {
+        const cache = createCache();
+        const set = jest.fn();
+        const deleted = jest.fn();
+        cache.on(cache.events.set, set);
+        cache.on(cache.events.deleted, deleted);
+        await cache.write("a", 1);
+        await cache.delete("a");
+        expect(set).toHaveBeenCalledWith(expect.objectContaining({ key: "a", reason: "write" }));
+        expect(deleted).toHaveBeenCalledWith(expect.objectContaining({ key: "a", reason: "delete" }));
+    });
+
+    test("expired and evicted entries are emitted", async () => {
+        const cache = createCache({ maxEntries: 1 });
+        const expired = jest.fn();
+        const evicted = jest.fn();
+        cache.on(cache.events.expired, expired);
+        cache.on(cache.events.evicted, evicted);
+        await cache.write("a", 1);
+        await cache.write("b", 2, Duration.milliseconds(20));
+        await sleep(50);
+        expect(evicted).toHaveBeenCalledWith(expect.objectContaining({ key: "a", policy: "lru" }));
+        expect(expired).toHaveBeenCalledWith(expect.objectContaining({ key: "b", reason: "ttl" }));
+    });
+
+    test("the re-encoding after a key rotation is emitted", async () => {
+        const cache = createCache();
+        await cache.write("a", "secret", "never", true);
+        const rotated = new Promise((resolve) => cache.once(cache.events.rotated, resolve));
+        await cache.obfuscate.rotateKey();
+        expect(await rotated).toEqual(expect.objectContaining({ reason: "key_rotated", entries: 1 }));
+    });
+
+    test("errors of listeners do not fail the operation", async () => {
+        const cache = createCache();
+        cache.on(cache.events.set, () => {
+            throw new Error("listener failed");
+        });
+        await expect(cache.write("a", 1)).resolves.toBeUndefined();
+        expect(await cache.read("a")).toBe(1);
+    });
+});
@@ -0,0 +1,42 @@
+const { Cache } = require("../../snippets/cache");
+const { useCaches } = require("./helpers");
+
+describe("Cache eviction", () => {
+    const createCache = useCaches();
+
+    test("the least recently used entry is evicted once maxEntries is reached", async () => {
+        const cache = createCache({ maxEntries: 2 });
+        await cache.write("a", 1);
+        await cache.write("b", 2);
+        await cache.read("a");
+        await cache.write("c", 3);
+        expect(await cache.has("a")).toBe(true);
+        expect(await cache.has("b")).toBe(false);
+        expect(await cache.has("c")).toBe(true);
+        expect(await cache.stats()).toMatchObject({ entries: 2, evictions: 1 });
+    });
+
+    test("the least frequently used entry is evicted with the lfu policy", async () => {
+        const cache = createCache({ maxEntries: 2, evictionPolicy: "lfu" });
+        await cache.write("a", 1);
+        await cache.write("b", 2);
+        await cache.read("a");
+        await cache.read("a");
+        await cache.read("b");
+        await cache.write("c", 3);
+        expect(await cache.has("a")).toBe(true);
+        expect(await cache.has("b")).toBe(false);
+    });
+
+    test("entries are evicted to stay within maxSize", async () => {
+        const cache = createCache({ maxSize: 100 });
+        await cache.write("a", "x".repeat(60));
+        await cache.write("b", "y".repeat(60));
+        expect(await cache.has("a")).toBe(false);
+        expect(await cache.read("b")).toBe("y".repeat(60));
+    });
+
+    test("an unknown eviction policy is rejected", () => {
+        expect(() => new Cache({ evictionPolicy: "fifo" })).toThrow("evictionPolicy must be one of");
+    });
+});
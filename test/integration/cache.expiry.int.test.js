@@ -0,0 +1,61 @@
+const { Duration } = require("../../snippets/duration");
+const { useCaches, sleep } = require("./helpers");
+
+describe("Cache expiry", () => {
+    const createCache = useCaches();
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test("overwriting an entry replaces its expiry", async () => {
+        const cache = createCache();
+        await cache.write("a", 1, Duration.milliseconds(20));
+        await cache.write("a", 2, Duration.seconds(10));
+        await sleep(40);
+        expect(await cache.read("a")).toBe(2);
+    });
+
+    test("an entry written again after a delete does not expire with the deleted one", async () => {
+        const cache = createCache();
+        const expired = jest.fn();
+        cache.on(cache.events.expired, expired);
+        await cache.write("a", 1, Duration.milliseconds(20));
+        await cache.delete("a");
+        await cache.write("a", 2);
+        await sleep(40);
+        expect(await cache.read("a")).toBe(2);
+        expect(expired).not.toHaveBeenCalled();
+    });
+
+    test("the cache keeps working and rotating its key after destroy", async () => {
+        jest.useFakeTimers({ doNotFake: ["nextTick", "setImmediate"] });
+        const cache = createCache();
+        const rotated = jest.fn();
+        cache.obfuscate.on(cache.obfuscate.events.key_rotated, rotated);
+        await cache.write("a", 1, Duration.minutes(1));
+        await cache.destroy();
+        expect(await cache.has("a")).toBe(false);
+
+        await cache.write("b", "secret", Duration.minutes(1), true);
+        await jest.advanceTimersByTimeAsync(Duration.seconds(30).toMilliseconds);
+        expect(await cache.read("b")).toBe("secret");
+        await jest.advanceTimersByTimeAsync(Duration.minutes(1).toMilliseconds);
+        expect(await cache.has("b")).toBe(false);
+
+        await jest.advanceTimersByTimeAsync(cache.obfuscate.defaultKeyRotationDuration.toMilliseconds);
+        expect(rotated).toHaveBeenCalledTimes(1);
+    });
+
+    test("dispose cancels the key rotation", async () => {
+        jest.useFakeTimers({ doNotFake: ["nextTick", "setImmediate"] });
+        const cache = createCache();
+        const rotated = jest.fn();
+        cache.obfuscate.on(cache.obfuscate.events.key_rotated, rotated);
+        await cache.dispose();
+        await jest.advanceTimersByTimeAsync(cache.obfuscate.defaultKeyRotationDuration.toMilliseconds);
+        expect(rotated).not.toHaveBeenCalled();
+        await cache.write("a", 1);
+        expect(await cache.read("a")).toBe(1);
+    });
+});
@@ -0,0 +1,55 @@
+const { MemoryCacheStore } = require("../../snippets/cacheStore");
+const { useCaches, sleep } = require("./helpers");
+
+describe("Cache field-level obfuscation", () => {
+    const createCache = useCaches();
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test("only the fields at the paths are obfuscated and keep their type", async () => {
+        const cache = createCache();
+        const user = { name: "jane", password: "s3cr3t", pin: 1234, cards: [{ number: "4111", brand: "visa" }, { number: "5500", brand: "mc" }] };
+        await cache.write("user", user, "never", ["password", "pin", "cards[*].number", "missing.path"]);
+        const [entry] = Object.values(await cache.table);
+        expect(entry.value.name).toBe("jane");
+        expect(entry.value.cards[0].brand).toBe("visa");
+        expect(entry.value.password).not.toBe("s3cr3t");
+        expect(entry.value.cards[1].number).not.toBe("5500");
+        expect(await cache.read("user")).toEqual(user);
+    });
+
+    test("encodeFields does not modify the original value", () => {
+        const { obfuscate } = createCache();
+        const value = { password: "s3cr3t" };
+        const encoded = obfuscate.encodeFields(value, ["password"]);
+        expect(value.password).toBe("s3cr3t");
+        expect(obfuscate.decodeFields(encoded, ["password"])).toEqual(value);
+    });
+
+    test("a failed re-encoding of the fields on access is logged", async () => {
+        let reads = Infinity;
+        const store = new MemoryCacheStore();
+        const get = store.get.bind(store);
+        store.get = (key) => {
+            if (reads-- <= 0) {
+                throw new Error("store unavailable");
+            }
+            return get(key);
+        };
+        const cache = createCache({ store: store });
+        await cache.write("user", { password: "s3cr3t" }, "never", ["password"]);
+        const entries = await store.entries();
+        const rotated = new Promise((resolve) => cache.once(cache.events.rotated, resolve));
+        await cache.obfuscate.rotateKey();
+        await rotated;
+        // puts back the fields encoded with the previous key, and fails the read of the re-encoding.
+        store.set(...entries[0]);
+        reads = 1;
+        const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+        expect(await cache.read("user")).toEqual({ password: "s3cr3t" });
+        await sleep(20);
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining("on access"), expect.any(Error));
+    });
+});
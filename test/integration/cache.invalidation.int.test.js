@@ -0,0 +1,33 @@
+const { useCaches } = require("./helpers");
+
+describe("Cache invalidation", () => {
+    const createCache = useCaches();
+
+    test("invalidateTag removes every entry with the tag", async () => {
+        const cache = createCache();
+        await cache.write("a", 1, "never", false, { tags: ["users"] });
+        await cache.write("b", 2, "never", true, { tags: ["users", "admins"] });
+        await cache.write("c", 3, "never", false, { tags: ["orders"] });
+        expect(await cache.invalidateTag("users")).toBe(2);
+        expect(await cache.has("a")).toBe(false);
+        expect(await cache.has("b")).toBe(false);
+        expect(await cache.read("c")).toBe(3);
+        expect(await cache.stats()).toMatchObject({ invalidations: 2 });
+    });
+
+    test("invalidatePrefix removes the entries whose key starts with the prefix", async () => {
+        const cache = createCache();
+        await cache.write("dest/Users(1)", 1);
+        await cache.write("dest/Users(2)", 2);
+        await cache.write("dest/Orders(1)", 3);
+        expect(await cache.invalidatePrefix("dest/Users")).toBe(2);
+        expect(await cache.keys()).toEqual([expect.objectContaining({ key: "dest/Orders(1)" })]);
+    });
+
+    test("invalidating an unknown tag removes nothing", async () => {
+        const cache = createCache();
+        await cache.write("a", 1, "never", false, { tags: ["users"] });
+        expect(await cache.invalidateTag("orders")).toBe(0);
+        expect(await cache.has("a")).toBe(true);
+    });
+});
@@ -0,0 +1,33 @@
+const { useCaches } = require("./helpers");
+
+describe("Cache keys", () => {
+    const createCache = useCaches();
+
+    test("keys are hashed with the hash secret", async () => {
+        const plain = createCache();
+        const keyed = createCache({ hashSecret: "secret" });
+        await plain.write("user", 1);
+        await keyed.write("user", 1);
+        const [plainKey] = await plain.keys();
+        const [keyedKey] = await keyed.keys();
+        expect(plainKey.hashKey).toMatch(/^[0-9a-f]{64}$/);
+        expect(keyedKey.hashKey).toMatch(/^[0-9a-f]{64}$/);
+        expect(keyedKey.hashKey).not.toBe(plainKey.hashKey);
+    });
+
+    test("whitespaces are ignored in keys", async () => {
+        const cache = createCache();
+        await cache.write("a key", 1);
+        expect(await cache.read("akey")).toBe(1);
+    });
+
+    test("keys that collided with the previous hash are stored separately", async () => {
+        const cache = createCache();
+        // "Ab" and "BA" have the same DJB hash.
+        await cache.write("Ab", 1);
+        await cache.write("BA", 2);
+        expect(await cache.read("Ab")).toBe(1);
+        expect(await cache.read("BA")).toBe(2);
+        expect(await cache.stats()).toMatchObject({ entries: 2, collisions: 0 });
+    });
+});
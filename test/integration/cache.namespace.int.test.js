@@ -0,0 +1,51 @@
+const { Duration } = require("../../snippets/duration");
+const { useCaches, sleep } = require("./helpers");
+
+describe("Cache namespaces", () => {
+    const createCache = useCaches();
+
+    test("namespaces have their own key space", async () => {
+        const cache = createCache();
+        const users = cache.namespace("users");
+        await cache.write("1", "root");
+        await users.write("1", "jane");
+        expect(await cache.read("1")).toBe("root");
+        expect(await users.read("1")).toBe("jane");
+        expect(cache.namespace("users")).toBe(users);
+    });
+
+    test("clearing a namespace clears its children but not its siblings", async () => {
+        const cache = createCache();
+        const users = cache.namespace("users");
+        const admins = users.namespace("admins");
+        const orders = cache.namespace("orders");
+        await users.write("a", 1);
+        await admins.write("b", 2);
+        await orders.write("c", 3);
+        await users.clear();
+        expect(await users.has("a")).toBe(false);
+        expect(await admins.has("b")).toBe(false);
+        expect(await orders.read("c")).toBe(3);
+        expect(cache.namespace("users/admins")).toBe(admins);
+    });
+
+    test("the default expiration of a namespace is used for its writes", async () => {
+        const cache = createCache();
+        const sessions = cache.namespace("sessions", { expiration: Duration.milliseconds(20) });
+        await sessions.write("a", 1);
+        await sessions.write("b", 2, "never");
+        await sleep(40);
+        expect(await sessions.has("a")).toBe(false);
+        expect(await sessions.read("b")).toBe(2);
+    });
+
+    test("namespaces count their own usage", async () => {
+        const cache = createCache();
+        const users = cache.namespace("users");
+        await users.write("a", 1);
+        await users.read("a");
+        await cache.read("missing");
+        expect(await users.stats()).toMatchObject({ hits: 1, misses: 0, entries: 1 });
+        expect(await cache.stats()).toMatchObject({ hits: 1, misses: 1 });
+    });
+});
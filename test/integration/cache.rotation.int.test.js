@@ -0,0 +1,69 @@
+const { MemoryCacheStore } = require("../../snippets/cacheStore");
+const { useCaches, sleep } = require("./helpers");
+
+/**
+ * A memory store that fails the reads once `reads` reads have succeeded.
+ */
+class FlakyStore extends MemoryCacheStore {
+    reads = Infinity;
+
+    get(key) {
+        if (this.reads-- <= 0) {
+            throw new Error("store unavailable");
+        }
+        return super.get(key);
+    }
+}
+
+describe("Cache key rotation", () => {
+    const createCache = useCaches();
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test("entries stay readable and are re-encoded with the new key", async () => {
+        const cache = createCache();
+        await cache.write("a", { secret: 1 }, "never", true);
+        await cache.write("b", { user: "jane", password: "s3cr3t" }, "never", ["password"]);
+        const rotated = new Promise((resolve) => cache.once(cache.events.rotated, resolve));
+        await cache.obfuscate.rotateKey();
+        expect(await cache.read("a")).toEqual({ secret: 1 });
+        expect(await rotated).toMatchObject({ entries: 2 });
+        const table = await cache.table;
+        const entry = Object.values(table).find((item) => item.isObfusacated);
+        expect(cache.obfuscate.hasCurrentKey(entry.value)).toBe(true);
+        expect(await cache.read("b")).toEqual({ user: "jane", password: "s3cr3t" });
+    });
+
+    test("entries of keys dropped from the keyring are removed", async () => {
+        const cache = createCache({ retainedKeys: 0 });
+        await cache.write("a", "secret", "never", true);
+        const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+        const store = cache.store;
+        const entries = await store.entries();
+        await cache.obfuscate.rotateKey();
+        // puts back the entry as it was before the background re-encoding.
+        await store.set(...entries[0]);
+        expect(await cache.read("a")).toBeNull();
+        expect(await cache.has("a")).toBe(false);
+        expect(warn).toHaveBeenCalled();
+    });
+
+    test("a failed re-encoding on access is logged and the value is still returned", async () => {
+        const store = new FlakyStore();
+        const cache = createCache({ store: store });
+        await cache.write("a", "secret", "never", true);
+        const entries = await store.entries();
+        const rotated = new Promise((resolve) => cache.once(cache.events.rotated, resolve));
+        await cache.obfuscate.rotateKey();
+        await rotated;
+        // puts back the entry encoded with the previous key, and fails the read of the re-encoding.
+        await store.set(...entries[0]);
+        store.reads = 1;
+        const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+        expect(await cache.read("a")).toBe("secret");
+        await sleep(20);
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining("on access"), expect.any(Error));
+    });
+});
@@ -0,0 +1,70 @@
+const crypto = require("node:crypto");
+
+const { Duration } = require("../../snippets/duration");
+const { CacheException } = require("../../snippets/cache");
+const { useCaches } = require("./helpers");
+
+/**
+ * Reads a snapshot stream into the parsed snapshot.
+ * @param {import("node:stream").Readable} stream
+ * @returns {Promise.<Object>}
+ */
+async function readSnapshot(stream) {
+    let content = "";
+    for await (const chunk of stream) {
+        content += chunk;
+    }
+    return JSON.parse(content);
+}
+
+describe("Cache snapshot", () => {
+    const createCache = useCaches();
+
+    test("a snapshot restores the values, types, tags and obfuscation into another cache", async () => {
+        const cache = createCache();
+        await cache.write("plain", new Date("2024-01-01T00:00:00.000Z"), Duration.hours(1), false, { tags: ["dates"] });
+        await cache.write("secret", { password: "s3cr3t" }, "never", true);
+        await cache.write("fields", { user: "jane", password: "s3cr3t" }, "never", ["password"]);
+
+        const restored = createCache();
+        const result = await restored.restore(await cache.snapshot({ secret: "snapshot secret" }), { secret: "snapshot secret" });
+        expect(result).toEqual({ restored: 3, skipped: 0 });
+        expect(await restored.read("plain")).toEqual(new Date("2024-01-01T00:00:00.000Z"));
+        expect(await restored.read("secret")).toEqual({ password: "s3cr3t" });
+        expect(await restored.read("fields")).toEqual({ user: "jane", password: "s3cr3t" });
+        const keys = await restored.keys();
+        expect(keys.find((info) => info.key === "plain")).toMatchObject({ tags: ["dates"], isObfuscated: false });
+        expect(keys.find((info) => info.key === "secret")).toMatchObject({ isObfuscated: true });
+        expect(keys.find((info) => info.key === "fields")).toMatchObject({ obfuscatedFields: ["password"] });
+    });
+
+    test("obfuscated entries are left out without a secret", async () => {
+        const cache = createCache();
+        await cache.write("plain", 1);
+        await cache.write("secret", 2, "never", true);
+        const snapshot = await readSnapshot(await cache.snapshot());
+        expect(snapshot.entries.map((entry) => entry.key)).toEqual(["plain"]);
+    });
+
+    test("a modified snapshot or a wrong secret is rejected", async () => {
+        const cache = createCache();
+        await cache.write("a", 1);
+        const snapshot = await readSnapshot(await cache.snapshot({ secret: "secret" }));
+        await expect(createCache().restore(JSON.stringify(snapshot), { secret: "other secret" })).rejects.toBeInstanceOf(CacheException);
+        snapshot.entries[0].value = "2";
+        await expect(createCache().restore(JSON.stringify(snapshot), { secret: "secret" })).rejects.toBeInstanceOf(CacheException);
+    });
+
+    test("a truncated authentication tag is rejected", async () => {
+        const cache = createCache();
+        await cache.write("secret", "s3cr3t", "never", true);
+        const snapshot = await readSnapshot(await cache.snapshot({ secret: "secret" }));
+        const [iv, encrypted, tag] = snapshot.entries[0].value.split(":");
+        snapshot.entries[0].value = [iv, encrypted, tag.slice(0, 8)].join(":");
+        // a valid digest, so that only the tag is checked.
+        snapshot.digest = crypto.createHmac("sha256", "secret").update(JSON.stringify(snapshot.entries)).digest("hex");
+        const restored = createCache();
+        expect(await restored.restore(JSON.stringify(snapshot), { secret: "secret" })).toEqual({ restored: 0, skipped: 1 });
+        expect(await restored.has("secret")).toBe(false);
+    });
+});
@@ -0,0 +1,59 @@
+const { Duration } = require("../../snippets/duration");
+const { useCaches, sleep } = require("./helpers");
+
+describe("Cache stale-while-revalidate", () => {
+    const createCache = useCaches();
+
+    test("stale values are returned and refreshed in the background", async () => {
+        const cache = createCache();
+        let version = 0;
+        const loader = jest.fn(async () => ++version);
+        const options = { expiration: Duration.seconds(10), staleAfter: Duration.milliseconds(100) };
+        expect(await cache.getOrCompute("a", loader, options)).toBe(1);
+        await sleep(120);
+        expect(await cache.getOrCompute("a", loader, options)).toBe(1);
+        await sleep(10);
+        expect(await cache.read("a")).toBe(2);
+        expect(loader).toHaveBeenCalledTimes(2);
+        expect(await cache.stats()).toMatchObject({ staleHits: 1, refreshes: 1 });
+    });
+
+    test("the loader is removed along with its entry", async () => {
+        const cache = createCache();
+        const loader = jest.fn(async () => "loaded");
+        await cache.getOrCompute("a", loader, { staleAfter: Duration.milliseconds(20) });
+        await cache.delete("a");
+        await cache.write("a", "written", "never", false, { staleAfter: Duration.milliseconds(20) });
+        await sleep(40);
+        expect(await cache.read("a")).toBe("written");
+        await sleep(20);
+        expect(await cache.read("a")).toBe("written");
+        expect(loader).toHaveBeenCalledTimes(1);
+    });
+
+    test("the loader is removed once its entry expires", async () => {
+        const cache = createCache();
+        const loader = jest.fn(async () => "loaded");
+        await cache.getOrCompute("a", loader, { expiration: Duration.milliseconds(30), staleAfter: Duration.milliseconds(10) });
+        await sleep(60);
+        expect(await cache.has("a")).toBe(false);
+        await cache.write("a", "written", "never", false, { staleAfter: Duration.milliseconds(10) });
+        await sleep(30);
+        await cache.read("a");
+        await sleep(20);
+        expect(await cache.read("a")).toBe("written");
+        expect(loader).toHaveBeenCalledTimes(1);
+    });
+
+    test("a value that is not cached does not keep its loader", async () => {
+        const cache = createCache();
+        const loader = jest.fn(async () => null);
+        await cache.getOrCompute("a", loader, { staleAfter: Duration.milliseconds(10), shouldCache: (value) => value !== null });
+        await cache.write("a", "written", "never", false, { staleAfter: Duration.milliseconds(10) });
+        await sleep(30);
+        await cache.read("a");
+        await sleep(20);
+        expect(await cache.read("a")).toBe("written");
+        expect(loader).toHaveBeenCalledTimes(1);
+    });
+});
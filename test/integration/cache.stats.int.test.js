@@ -0,0 +1,32 @@
+const { useCaches } = require("./helpers");
+
+describe("Cache statistics", () => {
+    const createCache = useCaches();
+
+    test("hits, misses and writes are counted", async () => {
+        const cache = createCache();
+        await cache.write("a", 1);
+        await cache.write("b", "secret", "never", true);
+        await cache.read("a");
+        await cache.read("missing");
+        const stats = await cache.stats();
+        expect(stats).toMatchObject({ hits: 1, misses: 1, writes: 2, entries: 2, obfuscatedEntries: 1, plainEntries: 1, hitRatio: 0.5 });
+        expect(stats.size).toBeGreaterThan(0);
+    });
+
+    test("resetStats clears the counters but keeps the entries", async () => {
+        const cache = createCache();
+        await cache.write("a", 1);
+        await cache.read("a");
+        cache.resetStats();
+        expect(await cache.stats()).toMatchObject({ hits: 0, writes: 0, entries: 1 });
+    });
+
+    test("keys lists the metadata without the values", async () => {
+        const cache = createCache();
+        await cache.write("a", { secret: true }, "never", true);
+        const [info] = await cache.keys();
+        expect(info).toMatchObject({ key: "a", type: "object", isObfuscated: true });
+        expect(info).not.toHaveProperty("value");
+    });
+});
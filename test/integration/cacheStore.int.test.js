@@ -0,0 +1,68 @@
+const os = require("node:os");
+const path = require("node:path");
+const fs = require("node:fs/promises");
+
+const { Duration } = require("../../snippets/duration");
+const { MemoryCacheStore, FileCacheStore } = require("../../snippets/cacheStore");
+const { sleep, useCaches } = require("./helpers");
+
+describe("Cache storage backends", () => {
+    const createCache = useCaches();
+    let dir;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), "cache-store-"));
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test("the memory store is used by default", async () => {
+        const cache = createCache();
+        expect(cache.store).toBeInstanceOf(MemoryCacheStore);
+        await cache.write("user", { name: "Jane" }, "never", true);
+        expect(await cache.read("user")).toEqual({ name: "Jane" });
+    });
+
+    test("has, delete and table return promises", async () => {
+        const cache = createCache();
+        await cache.write("a", 1);
+        const has = cache.has("a");
+        expect(has).toBeInstanceOf(Promise);
+        expect(await has).toBe(true);
+        expect(Object.keys(await cache.table)).toHaveLength(1);
+        await cache.delete("a");
+        expect(await cache.has("a")).toBe(false);
+        expect(await cache.table).toEqual({});
+    });
+
+    test("a file store keeps the entries and their types across restarts", async () => {
+        const filePath = path.join(dir, "cache.json");
+        const cache = createCache({ store: new FileCacheStore(filePath) });
+        const date = new Date("2024-01-01T00:00:00.000Z");
+        await cache.write("bigint", 10n);
+        await cache.write("date", date);
+        await cache.write("map", new Map([["a", 1]]));
+        await cache.write("set", new Set([1, 2]));
+        await cache.write("secret", "s3cr3t", "never", true);
+        // the file is rewritten in the background.
+        await sleep(100);
+
+        const restarted = createCache({ store: new FileCacheStore(filePath) });
+        expect(await restarted.read("bigint")).toBe(10n);
+        expect(await restarted.read("date")).toEqual(date);
+        expect(await restarted.read("map")).toEqual(new Map([["a", 1]]));
+        expect(await restarted.read("set")).toEqual(new Set([1, 2]));
+        // obfuscated entries are kept, even though they cannot be decoded with the key of another instance.
+        expect(await restarted.has("secret")).toBe(true);
+    });
+
+    test("expired entries are not returned by the file store", async () => {
+        const cache = createCache({ store: new FileCacheStore(path.join(dir, "cache.json")) });
+        await cache.write("a", "value", Duration.milliseconds(20));
+        expect(await cache.read("a")).toBe("value");
+        await sleep(50);
+        expect(await cache.read("a")).toBeNull();
+    });
+});
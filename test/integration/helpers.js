@@ -0,0 +1,57 @@
+/**
+ * Waits for the given number of milliseconds.
+ * @param {number} ms
+ * @returns {Promise.<void>}
+ */
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Registers the hooks that clean up the caches of a test file and returns a function to create them.
+ *
+ * Every cache schedules a key rotation, so the created caches are disposed and the rotation of the `MasterCache` is stopped,
+ * otherwise the timers keep jest from exiting.
+ * The cache module is required here, as loading it schedules the rotation of the `MasterCache`.
+ * @returns {function(import("../../snippets/cache").CacheOptions=):import("../../snippets/cache").Cache}
+ */
+function useCaches() {
+    const { Cache, MasterCache } = require("../../snippets/cache");
+    /** @type {Array.<Cache>} */
+    const caches = [];
+
+    afterEach(async () => {
+        await Promise.all(caches.splice(0).map((cache) => cache.dispose()));
+    });
+
+    afterAll(() => {
+        MasterCache.obfuscate.stopRotation();
+    });
+
+    return (options) => {
+        const cache = new Cache(options);
+        caches.push(cache);
+        return cache;
+    };
+}
+
+/**
+ * Registers the hook that disposes the pools of a test file and returns a function to track them.
+ *
+ * Disposing drains the pools, so no waiting caller or spill timer outlives the test.
+ * @returns {function(import("../../snippets/pool").FixedPool|import("../../snippets/pool").ScallablePool|import("../../snippets/pool").SpillablePool):any}
+ */
+function usePools() {
+    const pools = [];
+
+    afterEach(async () => {
+        await Promise.all(pools.splice(0).map((pool) => pool.dispose()));
+    });
+
+    return (pool) => {
+        pools.push(pool);
+        return pool;
+    };
+}
+
+module.exports = { sleep, useCaches, usePools };
@@ -0,0 +1,76 @@
+const crypto = require("node:crypto");
+const os = require("node:os");
+const path = require("node:path");
+const fs = require("node:fs/promises");
+
+const { EnvKeyProvider, FileKeyProvider, LocalKeyProvider } = require("../../snippets/keyProvider");
+const { useCaches } = require("./helpers");
+
+describe("Key providers", () => {
+    const createCache = useCaches();
+
+    afterEach(() => {
+        delete process.env.TEST_OBFUSCATION_KEYS;
+        jest.restoreAllMocks();
+    });
+
+    test("caches sharing the keys of a provider read each other's values", async () => {
+        process.env.TEST_OBFUSCATION_KEYS = crypto.randomBytes(32).toString("base64");
+        const first = createCache({ keyProvider: new EnvKeyProvider("TEST_OBFUSCATION_KEYS") });
+        const second = createCache({ keyProvider: new EnvKeyProvider("TEST_OBFUSCATION_KEYS") });
+        await Promise.all([first.obfuscate.ready, second.obfuscate.ready]);
+        expect(second.obfuscate.decode(first.obfuscate.encode({ secret: 1 }))).toEqual({ secret: 1 });
+    });
+
+    test("the keys are read from a file", async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), "keys-"));
+        try {
+            const filePath = path.join(dir, "keys.json");
+            const keys = { k1: crypto.randomBytes(32).toString("base64"), k2: crypto.randomBytes(32).toString("hex") };
+            await fs.writeFile(filePath, JSON.stringify({ current: "k2", keys: keys }));
+            const cache = createCache({ keyProvider: new FileKeyProvider(filePath) });
+            await cache.obfuscate.ready;
+            expect(cache.obfuscate.keyId).toBe("k2");
+            expect(cache.obfuscate.keyIds).toEqual(["k1", "k2"]);
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    test("rotating the key of the provider switches the cache to the new key", async () => {
+        const provider = new LocalKeyProvider();
+        const cache = createCache({ keyProvider: provider });
+        await cache.obfuscate.ready;
+        await cache.write("a", "secret", "never", true);
+        const previous = cache.obfuscate.keyId;
+        expect(await cache.obfuscate.rotateKey()).toBe(true);
+        expect(cache.obfuscate.keyId).not.toBe(previous);
+        expect(cache.obfuscate.keyId).toBe(provider.load().current);
+        expect(await cache.read("a")).toBe("secret");
+    });
+
+    test("the keys of the provider are applied even if the rotation is vetoed", async () => {
+        const provider = new LocalKeyProvider();
+        const cache = createCache({ keyProvider: provider });
+        await cache.obfuscate.ready;
+        jest.spyOn(console, "info").mockImplementation(() => {});
+        const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+        cache.obfuscate.before(cache.obfuscate.events.key_rotated, async () => false);
+        await provider.rotate();
+        await cache.obfuscate.ready;
+        expect(cache.obfuscate.keyId).toBe(provider.load().current);
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining("cannot be vetoed"));
+        // values of the new key can be read by another instance sharing the provider.
+        const other = createCache({ keyProvider: provider });
+        await other.obfuscate.ready;
+        expect(other.obfuscate.decode(cache.obfuscate.encode("secret"))).toBe("secret");
+    });
+
+    test("a failing provider falls back to a random key", async () => {
+        jest.spyOn(console, "error").mockImplementation(() => {});
+        const cache = createCache({ keyProvider: new EnvKeyProvider("TEST_OBFUSCATION_KEYS") });
+        await cache.obfuscate.ready;
+        await cache.write("a", "secret", "never", true);
+        expect(await cache.read("a")).toBe("secret");
+    });
+});
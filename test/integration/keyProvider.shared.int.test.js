@@ -0,0 +1,40 @@
+const { LocalKeyProvider } = require("../../snippets/keyProvider");
+const { useCaches } = require("./helpers");
+
+describe("Key provider shared by caches", () => {
+    const createCache = useCaches();
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test("the rotation timer reloads the keys of the provider instead of rotating them once per cache", async () => {
+        jest.useFakeTimers({ doNotFake: ["nextTick", "setImmediate"] });
+        const provider = new LocalKeyProvider();
+        const caches = [createCache({ keyProvider: provider }), createCache({ keyProvider: provider })];
+        await Promise.all(caches.map((cache) => cache.obfuscate.ready));
+        const current = provider.load().current;
+        const rotate = jest.spyOn(provider, "rotate");
+        const refresh = jest.spyOn(provider, "refresh");
+        await jest.advanceTimersByTimeAsync(caches[0].obfuscate.defaultKeyRotationDuration.toMilliseconds);
+        expect(rotate).not.toHaveBeenCalled();
+        expect(refresh).toHaveBeenCalledTimes(2);
+        expect(caches.map((cache) => cache.obfuscate.keyId)).toEqual([current, current]);
+    });
+
+    test("a disposed cache stops listening to the provider", async () => {
+        const provider = new LocalKeyProvider();
+        const kept = createCache({ keyProvider: provider });
+        const disposed = createCache({ keyProvider: provider });
+        await Promise.all([kept.obfuscate.ready, disposed.obfuscate.ready]);
+        expect(provider.listenerCount(provider.events.changed)).toBe(2);
+        await disposed.dispose();
+        expect(provider.listenerCount(provider.events.changed)).toBe(1);
+        const previous = disposed.obfuscate.keyId;
+        await provider.rotate();
+        await kept.obfuscate.ready;
+        expect(kept.obfuscate.keyId).toBe(provider.load().current);
+        expect(disposed.obfuscate.keyId).toBe(previous);
+    });
+});
@@ -0,0 +1,91 @@
+const { useCaches, sleep } = require("./helpers");
+
+describe("Obfuscator hooks", () => {
+    const createCache = useCaches();
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test("handlers and the operation run in order, awaiting async handlers", async () => {
+        const { obfuscate } = createCache();
+        const calls = [];
+        obfuscate.before("custom", async () => {
+            await sleep(10);
+            calls.push("before");
+        });
+        obfuscate.on("custom", () => calls.push("on"));
+        obfuscate.after("custom", async () => {
+            await sleep(10);
+            calls.push("after");
+        });
+        expect(await obfuscate.emitter("custom", async () => calls.push("callback"))).toBe(true);
+        expect(calls).toEqual(["before", "callback", "on", "after"]);
+    });
+
+    test("a before handler vetoes the key rotation", async () => {
+        const { obfuscate } = createCache();
+        jest.spyOn(console, "info").mockImplementation(() => {});
+        const keyId = obfuscate.keyId;
+        const rotated = jest.fn();
+        obfuscate.on(obfuscate.events.key_rotated, rotated);
+        obfuscate.before(obfuscate.events.key_rotated, async () => false);
+        expect(await obfuscate.rotateKey()).toBe(false);
+        expect(obfuscate.keyId).toBe(keyId);
+        expect(rotated).not.toHaveBeenCalled();
+    });
+
+    test("errors are emitted as hook_error and do not fail encoding", async () => {
+        const { obfuscate } = createCache();
+        const errors = [];
+        obfuscate.on(obfuscate.events.hook_error, (details) => errors.push(details));
+        obfuscate.before(obfuscate.events.obfuscated, () => {
+            throw new Error("before failed");
+        });
+        obfuscate.after(obfuscate.events.key_rotated, () => {
+            throw new Error("after failed");
+        });
+        const encoded = obfuscate.encode("value");
+        expect(obfuscate.decode(encoded)).toBe("value");
+        expect(await obfuscate.rotateKey()).toBe(true);
+        await sleep(10);
+        expect(errors).toEqual([
+            expect.objectContaining({ event: "obfuscated", stage: "before" }),
+            expect.objectContaining({ event: "key_rotated", stage: "after" }),
+        ]);
+    });
+
+    test("encode returns the value even with an async before handler", async () => {
+        const { obfuscate } = createCache();
+        obfuscate.before(obfuscate.events.obfuscated, async () => sleep(5));
+        const encoded = obfuscate.encode({ a: 1 });
+        expect(typeof encoded).toBe("string");
+        expect(obfuscate.decode(encoded)).toEqual({ a: 1 });
+    });
+
+    test("a throwing listener is reported and neither fails nor escapes the operation", async () => {
+        const { obfuscate } = createCache();
+        const unhandled = jest.fn();
+        process.on("unhandledRejection", unhandled);
+        try {
+            const errors = [];
+            const after = jest.fn();
+            obfuscate.on(obfuscate.events.hook_error, (details) => errors.push(details));
+            obfuscate.on(obfuscate.events.obfuscated, () => {
+                throw new Error("listener failed");
+            });
+            obfuscate.after(obfuscate.events.obfuscated, after);
+            expect(obfuscate.decode(obfuscate.encode("x"))).toBe("x");
+            obfuscate.encodeFields({ secret: "x" }, ["secret"]);
+            await sleep(10);
+            expect(errors).toEqual([
+                expect.objectContaining({ event: "obfuscated", stage: "listener", error: expect.objectContaining({ message: "listener failed" }) }),
+                expect.objectContaining({ event: "obfuscated", stage: "listener" }),
+            ]);
+            expect(after).toHaveBeenCalledTimes(2);
+            expect(unhandled).not.toHaveBeenCalled();
+        } finally {
+            process.off("unhandledRejection", unhandled);
+        }
+    });
+});
@@ -0,0 +1,42 @@
+const { CacheException } = require("../../snippets/cache");
+const { useCaches } = require("./helpers");
+
+describe("Obfuscator envelopes", () => {
+    const createCache = useCaches();
+
+    test("values are encoded into a versioned envelope and keep their type", () => {
+        const { obfuscate } = createCache();
+        for (const value of ["text", 42, true, { a: [1, 2] }, [1, "2"]]) {
+            const encoded = obfuscate.encode(value);
+            expect(encoded.split(":")).toHaveLength(6);
+            expect(encoded.startsWith("v2:")).toBe(true);
+            expect(obfuscate.decode(encoded)).toEqual(value);
+        }
+    });
+
+    test("a tampered value is rejected", () => {
+        const { obfuscate } = createCache();
+        const parts = obfuscate.encode("secret").split(":");
+        parts[3] = (parts[3][0] === "0" ? "1" : "0") + parts[3].slice(1);
+        expect(() => obfuscate.decode(parts.join(":"))).toThrow(CacheException);
+    });
+
+    test("a tampered type is rejected", () => {
+        const { obfuscate } = createCache();
+        const parts = obfuscate.encode("42").split(":");
+        parts[5] = "number";
+        expect(() => obfuscate.decode(parts.join(":"))).toThrow(CacheException);
+    });
+
+    test("a truncated authentication tag is rejected", () => {
+        const { obfuscate } = createCache();
+        const parts = obfuscate.encode("secret").split(":");
+        parts[4] = parts[4].slice(0, 8);
+        expect(() => obfuscate.decode(parts.join(":"))).toThrow(CacheException);
+    });
+
+    test("a value of another key is rejected", () => {
+        const encoded = createCache().obfuscate.encode("secret");
+        expect(() => createCache().obfuscate.decode(encoded)).toThrow(CacheException);
+    });
+});
@@ -0,0 +1,73 @@
+const { Readable, Writable } = require("node:stream");
+const { pipeline } = require("node:stream/promises");
+
+const { CacheException } = require("../../snippets/cache");
+const { useCaches } = require("./helpers");
+
+/**
+ * Pipes the chunks through the streams and returns the output.
+ * @param {Array.<Buffer>} chunks
+ * @param {...import("node:stream").Transform} streams
+ * @returns {Promise.<Buffer>}
+ */
+async function run(chunks, ...streams) {
+    const output = [];
+    await pipeline(
+        Readable.from(chunks),
+        ...streams,
+        new Writable({
+            write(chunk, encoding, callback) {
+                output.push(chunk);
+                callback();
+            },
+        })
+    );
+    return Buffer.concat(output);
+}
+
+describe("Obfuscator streams and buffers", () => {
+    const createCache = useCaches();
+
+    test("buffers keep their type", async () => {
+        const cache = createCache();
+        const buffer = Buffer.from([0, 1, 2, 255]);
+        expect(cache.obfuscate.decode(cache.obfuscate.encode(buffer))).toEqual(buffer);
+        await cache.write("file", buffer, "never", true);
+        expect(await cache.read("file")).toEqual(buffer);
+    });
+
+    test("nested bigints, dates, buffers, maps and sets keep their type", async () => {
+        const cache = createCache();
+        const values = [
+            new Map([["a", 1n], ["posted", new Date("2024-01-31T00:00:00.000Z")]]),
+            new Set([Buffer.from("invoice"), new Date(0)]),
+            { amount: 1n, lines: [{ postedOn: new Date(0), totals: new Map([["EUR", 10n]]) }], tags: new Set(["a"]) },
+            [new Date(0), 2n, { plain: "json" }],
+        ];
+        for (const value of values) {
+            expect(cache.obfuscate.decode(cache.obfuscate.encode(value))).toEqual(value);
+        }
+        await cache.write("totals", values[0], "never", true);
+        expect(await cache.read("totals")).toEqual(values[0]);
+    });
+
+    test("a stream is encoded and decoded in chunks", async () => {
+        const { obfuscate } = createCache();
+        const data = Buffer.alloc(100000, "abc");
+        const chunks = [data.subarray(0, 7), data.subarray(7, 50000), data.subarray(50000)];
+        const encoded = await run(chunks, obfuscate.createEncodeStream());
+        expect(encoded.includes(data.subarray(0, 100))).toBe(false);
+        // split at other places than the encoded chunks, including within the header and the tag.
+        const decoded = await run([encoded.subarray(0, 3), encoded.subarray(3, encoded.length - 5), encoded.subarray(encoded.length - 5)], obfuscate.createDecodeStream());
+        expect(decoded.equals(data)).toBe(true);
+    });
+
+    test("a tampered or truncated stream fails", async () => {
+        const { obfuscate } = createCache();
+        const encoded = await run([Buffer.from("some secret data")], obfuscate.createEncodeStream());
+        const tampered = Buffer.from(encoded);
+        tampered[tampered.length - 20] ^= 1;
+        await expect(run([tampered], obfuscate.createDecodeStream())).rejects.toBeInstanceOf(CacheException);
+        await expect(run([encoded.subarray(0, encoded.length - 4)], obfuscate.createDecodeStream())).rejects.toBeInstanceOf(CacheException);
+    });
+});
@@ -0,0 +1,55 @@
+const { ScallablePool } = require("../../snippets/pool");
+const { Duration } = require("../../snippets/duration");
+const { usePools } = require("./helpers");
+
+describe("ScallablePool expired items before the sweep", () => {
+    const track = usePools();
+    let pool;
+    let expired;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        // the sweeper runs long after the TTL, so only the traversals remove the expired items.
+        pool = track(new ScallablePool("expiry", { ttl: Duration.minutes(10), sweepInterval: Duration.hours(1), registry: null }));
+        expired = jest.fn();
+        pool.on(pool.events.expired, expired);
+        pool.add("old");
+        jest.advanceTimersByTime(Duration.minutes(5).toMilliseconds);
+        pool.add("recent");
+        pool.add("forever", Duration.hours(5));
+        jest.advanceTimersByTime(Duration.minutes(6).toMilliseconds);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test("take hands out only the items that have not expired", () => {
+        expect(pool.take(1)).toEqual(["recent"]);
+        expect(expired).toHaveBeenCalledWith(expect.objectContaining({ data: "old" }));
+        jest.advanceTimersByTime(Duration.minutes(5).toMilliseconds);
+        expect(pool.take(5)).toEqual(["forever"]);
+        expect(pool.size).toBe(0);
+    });
+
+    test("filter, find, first, last and the iterators skip and remove the expired items", () => {
+        expect(pool.find(() => true)).toBe("recent");
+        expect(expired).toHaveBeenCalledTimes(1);
+        jest.advanceTimersByTime(Duration.minutes(5).toMilliseconds);
+        expect(pool.first()).toBe("forever");
+        expect(pool.last()).toBe("forever");
+        expect(pool.filter(() => true)).toEqual(["forever"]);
+        expect([...pool]).toEqual(["forever"]);
+        expect(pool.pipe().map((item) => item.data)).toEqual(["forever"]);
+        expect(expired.mock.calls.map(([item]) => item.data)).toEqual(["old", "recent"]);
+        expect(pool.size).toBe(1);
+    });
+
+    test("pop skips the latest items once they have expired", () => {
+        pool.add("short", Duration.seconds(1));
+        jest.advanceTimersByTime(Duration.seconds(1).toMilliseconds);
+        expect(pool.pop()).toBe("forever");
+        expect(expired).toHaveBeenCalledWith(expect.objectContaining({ data: "short" }));
+        expect(expired).toHaveBeenCalledTimes(1);
+    });
+});
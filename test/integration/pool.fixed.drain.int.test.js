@@ -0,0 +1,57 @@
+const { FixedPool, PoolException } = require("../../snippets/pool");
+const { usePools, sleep } = require("./helpers");
+
+describe("FixedPool drain", () => {
+    const track = usePools();
+    let pending;
+
+    /**
+     * Creates a pool whose resources are created once `pending` is resolved.
+     */
+    const createPool = (options = {}) => {
+        let created = 0;
+        const create = () =>
+            new Promise((resolve) => {
+                pending = () => resolve({ id: ++created });
+            });
+        return track(new FixedPool("drain", { max: 1, create: create, registry: null, ...options }));
+    };
+
+    beforeEach(() => {
+        jest.spyOn(console, "info").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test("a caller whose resource is still being created is rejected and the resource destroyed", async () => {
+        const destroy = jest.fn();
+        const pool = createPool({ destroy: destroy });
+        const acquiring = pool.acquire();
+        pending();
+        const resource = await acquiring;
+        const waiting = pool.acquire();
+        // frees the capacity, the waiting caller is handed a new resource that is still being created.
+        await pool.remove(resource);
+        expect(pool.pending).toBe(0);
+        await pool.drain();
+        await expect(waiting).rejects.toThrow(expect.objectContaining({ exception_message: expect.stringContaining("POOL_DRAINED") }));
+        pending();
+        await sleep(0);
+        expect(destroy).toHaveBeenCalledTimes(2);
+        expect(destroy).toHaveBeenLastCalledWith({ id: 2 });
+        expect(pool.size).toBe(0);
+    });
+
+    test("a min resource created across a drain is destroyed instead of kept idle", async () => {
+        const destroy = jest.fn();
+        const pool = createPool({ min: 1, destroy: destroy });
+        await pool.drain();
+        pending();
+        await pool.ready;
+        expect(destroy).toHaveBeenCalledWith({ id: 1 });
+        expect(pool.size).toBe(0);
+        expect(() => pool.release({ id: 1 })).toThrow(PoolException);
+    });
+});
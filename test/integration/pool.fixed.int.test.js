@@ -0,0 +1,78 @@
+const { FixedPool, PoolException } = require("../../snippets/pool");
+const { Duration } = require("../../snippets/duration");
+const { usePools } = require("./helpers");
+
+describe("FixedPool acquire and release", () => {
+    const track = usePools();
+    let created;
+
+    const createPool = (options = {}) =>
+        track(
+            new FixedPool("fixed", {
+                max: 2,
+                create: () => ({ id: ++created }),
+                registry: null,
+                ...options,
+            })
+        );
+
+    beforeEach(() => {
+        created = 0;
+        jest.spyOn(console, "info").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test("acquires up to max resources and reuses the released ones", async () => {
+        const pool = createPool();
+        const first = await pool.acquire();
+        const second = await pool.acquire();
+        expect(first).not.toBe(second);
+        expect(pool.borrowed).toBe(2);
+        pool.release(first);
+        expect(pool.available).toBe(1);
+        expect(await pool.acquire()).toBe(first);
+        expect(created).toBe(2);
+    });
+
+    test("a caller waits for a release", async () => {
+        const pool = createPool({ max: 1 });
+        const resource = await pool.acquire();
+        const waiting = pool.acquire();
+        expect(pool.pending).toBe(1);
+        pool.release(resource);
+        expect(await waiting).toBe(resource);
+    });
+
+    test("acquire times out when no resource is released", async () => {
+        const pool = createPool({ max: 1 });
+        await pool.acquire();
+        await expect(pool.acquire(Duration.milliseconds(20))).rejects.toThrow(PoolException);
+        expect(pool.pending).toBe(0);
+    });
+
+    test("a resource cannot be released twice", async () => {
+        const pool = createPool();
+        const resource = await pool.acquire();
+        pool.release(resource);
+        expect(() => pool.release(resource)).toThrow(PoolException);
+        expect(pool.available).toBe(1);
+    });
+
+    test("the min resources are created idle", async () => {
+        const resources = [];
+        const create = () => {
+            const resource = { id: ++created };
+            resources.push(resource);
+            return resource;
+        };
+        const pool = createPool({ min: 2, create: create });
+        await pool.ready;
+        expect(pool.available).toBe(2);
+        expect(pool.borrowed).toBe(0);
+        expect(() => pool.release(resources[0])).toThrow(PoolException);
+        expect(pool.available).toBe(2);
+    });
+});
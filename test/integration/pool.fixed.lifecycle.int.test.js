@@ -0,0 +1,81 @@
+const { FixedPool, PoolException } = require("../../snippets/pool");
+const { Duration } = require("../../snippets/duration");
+const { usePools, sleep } = require("./helpers");
+
+describe("FixedPool lifecycle", () => {
+    const track = usePools();
+    let created;
+
+    const createPool = (options = {}) =>
+        track(
+            new FixedPool("fixed", {
+                max: 2,
+                create: () => ({ id: ++created }),
+                registry: null,
+                ...options,
+            })
+        );
+
+    beforeEach(() => {
+        created = 0;
+        jest.spyOn(console, "info").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test("use releases the resource, unless the callback removed it", async () => {
+        const pool = createPool();
+        expect(await pool.use((resource) => resource.id)).toBe(1);
+        expect(pool.available).toBe(1);
+        await pool.use((resource) => pool.remove(resource));
+        expect(pool.size).toBe(0);
+        await expect(pool.use(() => Promise.reject(new Error("failed")))).rejects.toThrow("failed");
+        expect(pool.available).toBe(1);
+    });
+
+    test("use does not release a resource the callback has released itself", async () => {
+        const pool = createPool({ max: 1 });
+        await pool.use((resource) => pool.release(resource));
+        expect(pool.available).toBe(1);
+        let waiting;
+        const resource = await pool.use((resource) => {
+            waiting = pool.acquire();
+            pool.release(resource);
+            return resource;
+        });
+        // the resource was handed to the waiting caller and stays in use.
+        expect(await waiting).toBe(resource);
+        expect(pool.borrowed).toBe(1);
+    });
+
+    test("invalid idle resources are destroyed", async () => {
+        const destroy = jest.fn();
+        const pool = createPool({ validate: (resource) => resource.id !== 1, destroy: destroy });
+        pool.release(await pool.acquire());
+        expect((await pool.acquire()).id).toBe(2);
+        expect(destroy).toHaveBeenCalledWith({ id: 1 });
+    });
+
+    test("drain rejects the waiting callers and destroys the resources once released", async () => {
+        const destroy = jest.fn();
+        const pool = createPool({ max: 1, destroy: destroy });
+        const resource = await pool.acquire();
+        const waiting = pool.acquire();
+        await pool.drain();
+        await expect(waiting).rejects.toThrow(PoolException);
+        expect(destroy).not.toHaveBeenCalled();
+        pool.release(resource);
+        await sleep(0);
+        expect(destroy).toHaveBeenCalledWith(resource);
+        expect(pool.size).toBe(0);
+    });
+
+    test("add respects max", async () => {
+        const pool = createPool({ max: 1, create: undefined });
+        pool.add({ id: "external" });
+        expect(() => pool.add({ id: "other" })).toThrow(PoolException);
+        expect((await pool.acquire()).id).toBe("external");
+    });
+});
@@ -0,0 +1,38 @@
+const { ScallablePool } = require("../../snippets/pool");
+const { usePools } = require("./helpers");
+
+describe("ScallablePool items", () => {
+    const track = usePools();
+
+    const createPool = (values = []) => {
+        const pool = track(new ScallablePool("list", { registry: null }));
+        return [pool, values.map((value) => pool.add(value))];
+    };
+
+    test("items are kept in the order they were added while removed and updated by id", () => {
+        const [pool, ids] = createPool(["a", "b", "c", "d"]);
+        expect(pool.remove(ids[1])).toBe(true);
+        expect(pool.remove(ids[1])).toBe(false);
+        expect(pool.update(ids[2], "C")).toBe(true);
+        expect(pool.update(ids[1], "B")).toBe(false);
+        expect(pool.remove(ids[0])).toBe(true);
+        expect(pool.remove(ids[3])).toBe(true);
+        expect([...pool]).toEqual(["C"]);
+        expect(pool.first()).toBe("C");
+        expect(pool.last()).toBe("C");
+        pool.add("e");
+        expect(pool.pipe()).toMatchObject([{ id: ids[2], data: "C" }, { data: "e" }]);
+    });
+
+    test("filter, find, take and pop follow the order of the items", () => {
+        const [pool] = createPool([1, 2, 3, 4, 5]);
+        expect(pool.filter((value) => value % 2 === 1)).toEqual([1, 3, 5]);
+        expect(pool.find((value) => value > 2)).toBe(3);
+        expect(pool.take(2)).toEqual([1, 2]);
+        expect(pool.pop()).toBe(5);
+        expect(pool.take(10)).toEqual([3, 4]);
+        expect(pool.size).toBe(0);
+        expect(pool.first()).toBeUndefined();
+        expect(pool.take(1)).toEqual([]);
+    });
+});
@@ -0,0 +1,52 @@
+const { ScallablePool, FixedPool, Pools, GlobalPools, PoolException } = require("../../snippets/pool");
+
+describe("Pools", () => {
+    let registry;
+
+    beforeEach(() => {
+        registry = new Pools("test");
+        jest.spyOn(console, "info").mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        await registry.disposeAll();
+        await GlobalPools.disposeAll();
+        jest.restoreAllMocks();
+    });
+
+    test("pools are registered under their name until disposed", async () => {
+        const items = new ScallablePool("items", { registry: registry });
+        const connections = new FixedPool("connections", { max: 1, create: () => ({}), registry: registry });
+        items.add("a");
+        expect(registry.get("items")).toBe(items);
+        expect(registry.list()).toEqual([
+            { name: "items", type: "ScallablePool", size: 1 },
+            { name: "connections", type: "FixedPool", size: 0 },
+        ]);
+        expect(() => new ScallablePool("items", { registry: registry })).toThrow(PoolException);
+        await connections.dispose();
+        expect(registry.has("connections")).toBe(false);
+        expect(() => registry.get("connections")).toThrow(expect.objectContaining({ exception_message: expect.stringContaining("NON_EXISTENT_POOL") }));
+    });
+
+    test("pools are registered globally unless a registry or null is passed", () => {
+        const global = new ScallablePool("global.items");
+        new ScallablePool("unregistered", { registry: null });
+        expect(GlobalPools.get("global.items")).toBe(global);
+        expect(GlobalPools.has("unregistered")).toBe(false);
+        expect(registry.list()).toEqual([]);
+    });
+
+    test("drainAll reports the pools that failed to drain and disposeAll empties the registry", async () => {
+        const error = jest.spyOn(console, "error").mockImplementation(() => {});
+        const items = new ScallablePool("items", { registry: registry });
+        const broken = new ScallablePool("broken", { registry: registry });
+        items.add("a");
+        broken.drain = () => Promise.reject(new Error("store unavailable"));
+        expect(await registry.drainAll()).toEqual(["broken"]);
+        expect(items.size).toBe(0);
+        expect(error).toHaveBeenCalledTimes(1);
+        await registry.disposeAll();
+        expect(registry.list()).toEqual([]);
+    });
+});
@@ -0,0 +1,52 @@
+const { ScallablePool, PoolException } = require("../../snippets/pool");
+const { usePools } = require("./helpers");
+
+describe("ScallablePool schema", () => {
+    const track = usePools();
+
+    const schema = {
+        type: "object",
+        required: ["id", "amount"],
+        additionalProperties: false,
+        properties: { id: { type: "string" }, amount: { type: "number" }, postedOn: { type: "date", nullable: true }, lines: { type: "array", items: { type: "integer" } } },
+    };
+
+    test("invalid items are rejected with a status code of 422", () => {
+        const pool = track(new ScallablePool("schema", { schema: schema, registry: null }));
+        const id = pool.add({ id: "1", amount: 10, lines: [1, 2] });
+        let error;
+        try {
+            pool.add({ id: "2", amount: "10" });
+        } catch (err) {
+            error = err;
+        }
+        expect(error).toBeInstanceOf(PoolException);
+        expect(error.status_code).toBe(422);
+        expect(error.exception_message).toContain("$.amount must be a number, got string.");
+        expect(() => pool.update(id, { id: "1", amount: 1, other: true })).toThrow("must not have the properties other");
+        expect(() => pool.add({ id: "3", amount: 1, lines: [1.5] })).toThrow("$.lines[0] must be an integer");
+        expect(pool.read(id)).toEqual({ id: "1", amount: 10, lines: [1, 2] });
+    });
+
+    test("items are converted to the types of the schema if coerce is set", () => {
+        const pool = track(new ScallablePool("coerce", { schema: schema, coerce: true, registry: null }));
+        const item = { id: 42, amount: "10.5", postedOn: "2024-01-31", lines: ["1"] };
+        const id = pool.add(item);
+        expect(pool.read(id)).toEqual({ id: "42", amount: 10.5, postedOn: new Date("2024-01-31"), lines: [1] });
+        expect(item.amount).toBe("10.5");
+        expect(() => pool.add({ id: "1", amount: "ten" })).toThrow(PoolException);
+    });
+
+    test("items rejected by a validator or the type of the pool carry the reason", () => {
+        const validated = track(new ScallablePool("validator", { schema: (value) => value > 0, registry: null }));
+        expect(() => validated.add(-1)).toThrow(expect.objectContaining({ status_code: 422, message: "Item was rejected by the validator of pool validator." }));
+        const strict = track(new ScallablePool("strict", { typeStrict: true, registry: null }));
+        strict.add([1]);
+        expect(() => strict.add({})).toThrow(expect.objectContaining({ status_code: 422, message: expect.stringContaining("(array)") }));
+    });
+
+    test("a schema with an unknown type is rejected on construction", () => {
+        expect(() => new ScallablePool("unknown", { schema: { type: "float" }, registry: null })).toThrow('The schema at $ has the unknown type "float"');
+        expect(() => new ScallablePool("nested", { schema: { type: "object", properties: { lines: { type: "array", items: { type: "int" } } } }, registry: null })).toThrow("The schema at $.lines[*]");
+    });
+});
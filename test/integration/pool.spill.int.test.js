@@ -0,0 +1,68 @@
+const os = require("node:os");
+const path = require("node:path");
+const fs = require("node:fs/promises");
+const { SpillablePool } = require("../../snippets/pool");
+const { FilePoolStore } = require("../../snippets/poolStore");
+const { usePools } = require("./helpers");
+
+describe("SpillablePool", () => {
+    const track = usePools();
+    let dir;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), "pool-"));
+        jest.spyOn(console, "info").mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    const createPool = (options) => track(new SpillablePool("spill", { registry: null, store: new FilePoolStore(path.join(dir, "spill.jsonl")), ...options }));
+
+    test("items are spilled past the threshold and kept in order", async () => {
+        const pool = createPool({ threshold: 2 });
+        const spilled = jest.fn();
+        pool.on(pool.events.spilled, spilled);
+        await pool.addMany([1, 2]);
+        expect(pool.spilled).toBe(0);
+        const id = await pool.add(3);
+        expect(spilled).toHaveBeenCalledWith({ items: 3 });
+        expect(pool.spilled).toBe(3);
+        await pool.add(4);
+        expect(await pool.read(id)).toBe(3);
+        expect(await pool.remove(id)).toBe(true);
+        const values = [];
+        for await (const record of pool) {
+            values.push(record.data);
+        }
+        expect(values).toEqual([1, 2, 4]);
+    });
+
+    test("a pool created with the same store continues with the spilled items and their types", async () => {
+        const data = {
+            amount: 12345678901234567890n,
+            postedOn: new Date("2024-01-31T00:00:00.000Z"),
+            attachment: Buffer.from("invoice"),
+            totals: new Map([["EUR", { net: 10n, on: new Date(0) }]]),
+            tags: new Set(["a", "b"]),
+            lines: [{ id: 1n }],
+        };
+        const first = createPool({ threshold: 0 });
+        await first.addMany([data, "second"]);
+        await first.dispose();
+        const restarted = createPool({ threshold: 0 });
+        await restarted.ready;
+        expect(restarted.size).toBe(2);
+        const id = await restarted.add("third");
+        await restarted.remove(id);
+        const records = [];
+        for await (const record of restarted.pipe(true)) {
+            records.push(record);
+        }
+        expect(records.map((record) => record.data)).toEqual([data, "second"]);
+        expect(records[0].createdAt).toBeInstanceOf(Date);
+        expect(restarted.size).toBe(0);
+    });
+});
@@ -0,0 +1,52 @@
+const { ScallablePool } = require("../../snippets/pool");
+const { Duration } = require("../../snippets/duration");
+const { usePools } = require("./helpers");
+
+describe("ScallablePool sweep", () => {
+    const track = usePools();
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    const createPool = (values = []) => {
+        const pool = track(new ScallablePool("list", { registry: null }));
+        return [pool, values.map((value) => pool.add(value))];
+    };
+
+    test("items removed by a listener of the expired event are not removed twice", () => {
+        const [pool, ids] = createPool(["kept"]);
+        const expiring = ["a", "b", "c"].map((value) => pool.add(value, Duration.seconds(1)));
+        pool.add("later");
+        const expired = jest.fn((item) => {
+            if (item.id === expiring[0]) {
+                pool.remove(expiring[1]);
+            }
+        });
+        pool.on(pool.events.expired, expired);
+        jest.setSystemTime(Date.now() + 1000);
+        expect(pool.sweep()).toBe(2);
+        expect(expired).toHaveBeenCalledTimes(2);
+        expect(pool.size).toBe(2);
+        expect([...pool]).toEqual(["kept", "later"]);
+        expect(pool.first()).toBe("kept");
+        expect(pool.read(ids[0])).toBe("kept");
+    });
+
+    test("a pool drained by a listener of the expired event stays empty", () => {
+        const [pool] = createPool();
+        ["a", "b"].forEach((value) => pool.add(value, Duration.seconds(1)));
+        pool.on(pool.events.expired, () => pool.drain());
+        jest.setSystemTime(Date.now() + 1000);
+        expect(pool.sweep()).toBe(1);
+        expect(pool.size).toBe(0);
+        expect(pool.last()).toBeUndefined();
+        pool.add("c");
+        expect([...pool]).toEqual(["c"]);
+        expect(pool.size).toBe(1);
+    });
+});
@@ -0,0 +1,68 @@
+const { ScallablePool } = require("../../snippets/pool");
+const { Duration } = require("../../snippets/duration");
+const { usePools } = require("./helpers");
+
+describe("ScallablePool expiry", () => {
+    const track = usePools();
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.spyOn(console, "info").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test("an expired item is removed on read before the sweeper runs", () => {
+        const pool = track(new ScallablePool("ttl", { ttl: Duration.seconds(10), sweepInterval: Duration.minutes(1), registry: null }));
+        const expired = jest.fn();
+        pool.on(pool.events.expired, expired);
+        const id = pool.add("record");
+        jest.advanceTimersByTime(9000);
+        expect(pool.read(id)).toBe("record");
+        jest.advanceTimersByTime(1000);
+        expect(pool.read(id)).toBeUndefined();
+        expect(pool.size).toBe(0);
+        expect(expired).toHaveBeenCalledWith(expect.objectContaining({ id: id, data: "record" }));
+    });
+
+    test("the sweeper removes the expired items, an item can have a ttl of its own", () => {
+        const pool = track(new ScallablePool("sweep", { registry: null }));
+        const expired = jest.fn();
+        pool.on(pool.events.expired, expired);
+        const short = pool.add("short", Duration.seconds(1));
+        pool.add("long", Duration.seconds(5));
+        pool.add("forever");
+        jest.advanceTimersByTime(1000);
+        expect(expired).toHaveBeenCalledTimes(1);
+        expect(expired.mock.calls[0][0].id).toBe(short);
+        jest.advanceTimersByTime(4000);
+        expect(expired).toHaveBeenCalledTimes(2);
+        expect([...pool]).toEqual(["forever"]);
+    });
+
+    test("the pool is drained every drainInterval until disposed", () => {
+        const pool = track(new ScallablePool("interval", { drainInterval: Duration.seconds(1), registry: null }));
+        const drained = jest.fn();
+        pool.on(pool.events.drained, drained);
+        pool.add(1);
+        jest.advanceTimersByTime(1000);
+        expect(drained).toHaveBeenLastCalledWith({ reason: "drain_interval", items: 1 });
+        pool.add(2);
+        pool.dispose();
+        jest.advanceTimersByTime(5000);
+        expect(drained).toHaveBeenCalledTimes(1);
+        expect(pool.size).toBe(1);
+    });
+
+    test("intervals setInterval cannot handle are rejected", () => {
+        expect(() => new ScallablePool("long", { sweepInterval: Duration.days(30), registry: null })).toThrow("sweepInterval");
+        expect(() => new ScallablePool("zero", { drainInterval: Duration.milliseconds(0), registry: null })).toThrow("drainInterval");
+        expect(() => new ScallablePool("ttl", { ttl: Duration.days(30), registry: null })).toThrow("sweep interval");
+        const pool = track(new ScallablePool("item", { registry: null }));
+        expect(() => pool.add("record", Duration.days(30))).toThrow("sweep interval");
+        expect(pool.size).toBe(0);
+    });
+});
@@ -0,0 +1,62 @@
+const { PriorityQueue, ProcessQueue } = require("../../snippets/queue");
+
+describe("PriorityQueue", () => {
+    test("items are dequeued by priority, equal priorities in the order they were added", () => {
+        const queue = new PriorityQueue(100);
+        const expected = [];
+        // interleaved priorities, so that the heap reorders entries of the same priority.
+        for (let i = 0; i < 60; i++) {
+            queue.enqueue(`${i % 3}:${i}`, i % 3);
+        }
+        for (const priority of [2, 1, 0]) {
+            for (let i = priority; i < 60; i += 3) {
+                expected.push(`${priority}:${i}`);
+            }
+        }
+        const dequeued = [];
+        while (!queue.isEmpty()) {
+            expect(queue.peek()).toBe(expected[dequeued.length]);
+            dequeued.push(queue.dequeue());
+        }
+        expect(dequeued).toEqual(expected);
+    });
+
+    test("the order of equal priorities is kept when dequeued and enqueued in turns", () => {
+        const queue = new PriorityQueue(10);
+        queue.enqueue("a");
+        queue.enqueue("b");
+        queue.enqueue("urgent", 5);
+        expect(queue.dequeue()).toBe("urgent");
+        queue.enqueue("c");
+        queue.enqueue("negative", -1);
+        expect([queue.dequeue(), queue.dequeue(), queue.dequeue(), queue.dequeue()]).toEqual(["a", "b", "c", "negative"]);
+    });
+
+    test("the capacity and the priority are checked", () => {
+        const queue = new PriorityQueue(1);
+        expect(() => queue.dequeue()).toThrow("Queue is empty");
+        expect(() => queue.enqueue("a", NaN)).toThrow("priority must be a number");
+        queue.enqueue("a");
+        expect(queue.isFull()).toBe(true);
+        expect(() => queue.enqueue("b", 10)).toThrow("Queue is full");
+    });
+
+    test("a ProcessQueue in priority mode executes the highest priority next", async () => {
+        const executed = [];
+        let release;
+        const blocked = new Promise((resolve) => (release = resolve));
+        const done = new Promise((resolve) => {
+            const queue = new ProcessQueue(10, { priority: true });
+            queue.enqueue(() => blocked);
+            queue.enqueue(() => executed.push("low"), null, 0);
+            queue.enqueue(() => executed.push("high"), null, 10);
+            queue.enqueue(() => executed.push("low again"));
+            queue.enqueue(() => executed.push("last"), resolve, -1);
+            expect(queue.size).toBe(4);
+        });
+        release();
+        await done;
+        expect(executed).toEqual(["high", "low", "low again", "last"]);
+        expect(() => new ProcessQueue(1).enqueue(() => {}, null, 1)).toThrow("priority is only supported");
+    });
+});